@@ -2,7 +2,8 @@ import React, { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { TASK_STATUS, ANIMATION_STATES } from '../store/eventLoopSlice';
 
-const CallStack = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask }) => {
+// `overflow` is set while a call past the depth budget is unwinding its task
+const CallStack = ({ tasks, suspendedFrames = [], overflow = null, onTaskClick, onTaskHover, onTaskLeave, selectedTask }) => {
   const [executingTasks, setExecutingTasks] = useState(new Set());
 
   useEffect(() => {
@@ -98,6 +99,9 @@ const CallStack = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask
     }
   });
 
+  // The newest frame is drawn on top; `tasks` is ordered bottom to top
+  const frames = [...tasks].reverse();
+
   const getExecutionProgress = (task) => {
     if (task.status === TASK_STATUS.EXECUTING) {
       // Simulate execution progress based on task type
@@ -116,12 +120,28 @@ const CallStack = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask
         </div>
       </div>
       
+      <AnimatePresence>
+        {overflow && tasks.length > 0 && (
+          <motion.div
+            className="stack-overflow"
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            transition={{ duration: 0.3 }}
+          >
+            <span>💥</span>
+            <span className="stack-overflow-message">RangeError: Maximum call stack size exceeded</span>
+            <span className="stack-overflow-detail">{overflow.limit} frames, line {overflow.lineNumber}</span>
+          </motion.div>
+        )}
+      </AnimatePresence>
+      
       <div className="call-stack-area">
         <AnimatePresence>
-          {tasks.map((task, index) => (
+          {frames.map((task, index) => (
             <motion.div
               key={task.id}
-              className={`task-item ${selectedTask?.id === task.id ? 'selected' : ''}`}
+              className={`task-item ${task.isFrame ? 'call-frame' : ''} ${index === 0 ? 'stack-top' : ''} ${selectedTask?.id === task.id ? 'selected' : ''}`}
               variants={getAnimationVariants(task, index)}
               initial="initial"
               animate={task.status === TASK_STATUS.EXECUTING ? "executing" : "animate"}
@@ -150,9 +170,9 @@ const CallStack = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask
               <div className="task-content">
                 <div className="task-title">{task.description}</div>
                 <div className="task-details">
-                  <span className="task-type">{task.type}</span>
-                  <span className="task-id">#{task.id}</span>
-                  <span className="stack-position">#{index + 1}</span>
+                  <span className="task-type">{task.isFrame ? `line ${task.lineNumber}` : task.type}</span>
+                  {!task.isFrame && <span className="task-id">#{task.id}</span>}
+                  <span className="stack-position">depth {tasks.length - index}</span>
                 </div>
                 {task.status === TASK_STATUS.EXECUTING && (
                   <div className="progress-bar">
@@ -198,6 +218,29 @@ const CallStack = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask
           </div>
         )}
       </div>
+      
+      {/* Async functions waiting at an await, off the stack until resumed */}
+      {suspendedFrames.length > 0 && (
+        <div className="suspended-frames">
+          <div className="suspended-frames-title">⏸️ Suspended async functions</div>
+          <AnimatePresence>
+            {suspendedFrames.map(frame => (
+              <motion.div
+                key={frame.id}
+                className="suspended-frame"
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                transition={{ duration: 0.3 }}
+              >
+                <span>🔄</span>
+                <span>{frame.name}()</span>
+                <span className="suspended-frame-line">await at line {frame.lineNumber}</span>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
     </div>
   );
 };
@@ -11,6 +11,8 @@ const CallbackQueue = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedT
         return '#6c757d';
       case TASK_STATUS.ERROR:
         return '#dc3545';
+      case TASK_STATUS.CANCELLED:
+        return '#adb5bd';
       default:
         return '#fd7e14';
     }
@@ -101,7 +103,7 @@ const CallbackQueue = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedT
           {tasks.map((task, index) => (
             <motion.div
               key={task.id}
-              className={`task-item ${selectedTask?.id === task.id ? 'selected' : ''}`}
+              className={`task-item ${selectedTask?.id === task.id ? 'selected' : ''} ${task.status === TASK_STATUS.CANCELLED ? 'cancelled' : ''}`}
               variants={getAnimationVariants(task, index)}
               initial="initial"
               animate={task.status === TASK_STATUS.EXECUTING ? "executing" : 
@@ -182,6 +184,9 @@ const CallbackQueue = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedT
               {task.status === TASK_STATUS.ERROR && (
                 <div className="error-indicator">❌</div>
               )}
+              {task.status === TASK_STATUS.CANCELLED && (
+                <div className="cancelled-indicator">🚫</div>
+              )}
             </motion.div>
           ))}
         </AnimatePresence>
@@ -1,19 +1,17 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { motion, AnimatePresence } from 'framer-motion';
+import { motion } from 'framer-motion';
 import {
   setCustomCode,
-  setExecutingCustomCode,
-  addExecutionResult,
   addExecutionError,
-  addCapturedConsoleLog,
-  setExecutionStartTime,
-  setExecutionEndTime,
   clearExecutionResults,
-  addConsoleOutput,
-  clearCodeExecutionState
+  clearCodeExecutionState,
+  executeCustomCode,
+  setRunning,
+  NODE_PHASES
 } from '../store/eventLoopSlice';
-import codeExecutor from '../utils/codeExecutor';
+import SourceEditor from './SourceEditor';
+import ConsoleEntries from './ConsoleEntries';
 
 // Sample code templates
 const CODE_TEMPLATES = {
@@ -44,26 +42,23 @@ console.log('After call');`
 
 const CodeEditor = () => {
   const dispatch = useDispatch();
+  const eventLoop = useSelector(state => state.eventLoop);
   const {
     customCode,
-    isExecutingCustomCode,
+    currentExecutingTask,
+    isCodeExecuting: isRunning,
     executionResults,
     executionErrors,
+    problems,
     capturedConsoleLogs,
     executionStartTime,
     executionEndTime
-  } = useSelector(state => state.eventLoop);
+  } = eventLoop;
+  const waitingTasks = [
+    'microtaskQueue', 'nextTickQueue', 'callbackQueue', 'rafQueue', ...NODE_PHASES.map(phase => `${phase}Queue`)
+  ].flatMap(queue => eventLoop[queue]);
 
   const [localCode, setLocalCode] = useState(customCode || CODE_TEMPLATES.basic);
-  const [isRunning, setIsRunning] = useState(false);
-  const consoleRef = useRef(null);
-
-  // Auto-scroll console to bottom
-  useEffect(() => {
-    if (consoleRef.current) {
-      consoleRef.current.scrollTop = consoleRef.current.scrollHeight;
-    }
-  }, [capturedConsoleLogs]);
 
   // Sync local code with Redux state
   useEffect(() => {
@@ -74,56 +69,20 @@ const CodeEditor = () => {
 
 
 
-  const executeCode = async () => {
+  const executeCode = () => {
     if (!localCode.trim()) {
       dispatch(addExecutionError('No code to execute'));
       return;
     }
 
-    setIsRunning(true);
-    dispatch(setExecutingCustomCode(true));
-    dispatch(clearExecutionResults());
-    dispatch(setExecutionStartTime(Date.now()));
-
-    try {
-      const result = await codeExecutor.executeCode(localCode);
-
-      if (result.success) {
-        if (result.result !== undefined) {
-          dispatch(addExecutionResult({
-            value: result.result,
-            type: result.resultType,
-            executionTime: result.executionTime.toFixed(2)
-          }));
-        }
-
-        result.logs.forEach(log => {
-          dispatch(addCapturedConsoleLog(log.message));
-          dispatch(addConsoleOutput(log.message));
-        });
-
-        dispatch(setExecutionEndTime(Date.now()));
-      } else {
-        dispatch(addExecutionError(result.error));
-        dispatch(addConsoleOutput(`Error: ${result.error}`));
-        dispatch(setExecutionEndTime(Date.now()));
-      }
-
-    } catch (error) {
-      const errorMessage = error.message || 'Unknown error occurred';
-      dispatch(addExecutionError(errorMessage));
-      dispatch(addConsoleOutput(`Error: ${errorMessage}`));
-      dispatch(setExecutionEndTime(Date.now()));
-    } finally {
-      setIsRunning(false);
-      dispatch(setExecutingCustomCode(false));
-    }
+    // Same pipeline as the visualizer: simulate, then replay the trace
+    dispatch(executeCustomCode(localCode));
+    dispatch(setRunning(true));
   };
 
 
 
-  const handleCodeChange = (e) => {
-    const newCode = e.target.value;
+  const handleCodeChange = (newCode) => {
     setLocalCode(newCode);
     dispatch(setCustomCode(newCode));
   };
@@ -218,14 +177,15 @@ const CodeEditor = () => {
             </div>
           </div>
           
-                     <textarea
-             className="code-textarea"
-             value={localCode}
-             onChange={handleCodeChange}
-             placeholder="Enter your JavaScript code here..."
-             disabled={isRunning}
-             rows={6}
-           />
+          <SourceEditor
+            value={localCode}
+            onChange={handleCodeChange}
+            readOnly={isRunning}
+            height={160}
+            runningTask={currentExecutingTask}
+            queuedTasks={waitingTasks}
+            problems={problems}
+          />
         </div>
 
 
@@ -244,33 +204,13 @@ const CodeEditor = () => {
           {/* Console Output */}
           <div className="console-output-section">
             <h6>Console Output</h6>
-            <div className="console-container" ref={consoleRef}>
-              <AnimatePresence>
-                {capturedConsoleLogs.map((log, index) => (
-                  <motion.div
-                    key={`${log.timestamp}-${index}`}
-                    className={`console-line console-${log.type}`}
-                    initial={{ opacity: 0, x: -20 }}
-                    animate={{ opacity: 1, x: 0 }}
-                    exit={{ opacity: 0, x: 20 }}
-                    transition={{ duration: 0.3 }}
-                  >
-                    <span className="console-timestamp">
-                      {new Date(log.timestamp).toLocaleTimeString()}
-                    </span>
-                    <span className="console-message">{log.message}</span>
-                  </motion.div>
-                ))}
-              </AnimatePresence>
-              
-              {capturedConsoleLogs.length === 0 && (
-                <div className="empty-console">
-                  <div className="empty-icon">💻</div>
-                  <div className="empty-text">No console output yet</div>
-                  <div className="empty-subtext">Run your code to see output</div>
-                </div>
-              )}
-            </div>
+            <ConsoleEntries entries={capturedConsoleLogs}>
+              <div className="empty-console">
+                <div className="empty-icon">💻</div>
+                <div className="empty-text">No console output yet</div>
+                <div className="empty-subtext">Run your code to see output</div>
+              </div>
+            </ConsoleEntries>
           </div>
 
           {/* Execution Results */}
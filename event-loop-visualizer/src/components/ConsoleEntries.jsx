@@ -0,0 +1,222 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import ValueInspector from './ValueInspector';
+
+// Height assumed for a line that has not been on screen yet
+const ESTIMATED_LINE_HEIGHT = 26;
+// Extra height rendered above and below the visible part, in pixels
+const OVERSCAN = 200;
+// How close to the bottom still counts as following new output
+const STICK_TO_BOTTOM = 24;
+
+// Wraps each match of `query` (case-insensitive) in a <mark>
+const Highlight = ({ text, query }) => {
+  if (!query) {
+    return text;
+  }
+  const parts = [];
+  const lower = text.toLowerCase();
+  const needle = query.toLowerCase();
+  let start = 0;
+  let index = lower.indexOf(needle);
+  while (index !== -1) {
+    parts.push(text.slice(start, index), <mark key={index} className="console-match">{text.slice(index, index + needle.length)}</mark>);
+    start = index + needle.length;
+    index = lower.indexOf(needle, start);
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+const ConsoleTable = ({ table, query }) => (
+  <table className="console-table">
+    <thead>
+      <tr>
+        {table.columns.map(column => <th key={column}><Highlight text={column} query={query} /></th>)}
+      </tr>
+    </thead>
+    <tbody>
+      {table.rows.map((row, rowIndex) => (
+        <tr key={rowIndex}>
+          {row.map((cell, cellIndex) => <td key={cellIndex}><Highlight text={cell} query={query} /></td>)}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Console lines for the console panes, in their own scrolling container.
+// Entries from the console API keep their method's styling: tables render as
+// tables, traces keep their stack lines, console.group nests what follows
+// under a header that folds it, and logged objects open up in the value
+// inspector. Only the lines near the visible part are rendered, so the
+// history can grow long; the pane follows new output while it is scrolled
+// to the bottom. `isShown(entry)` filters the lines; group folding still
+// follows the whole history, so a filtered-out group header keeps hiding its
+// folded lines. `getIcon(type)` adds a leading icon, `query` highlights
+// matches (logged objects show as their text while searching) and `children`
+// show while there are no lines.
+const ConsoleEntries = ({ entries, isShown = null, getIcon = null, query = '', children = null }) => {
+  const containerRef = useRef(null);
+  const atBottomRef = useRef(true);
+  // Measured heights, by entry; entries are immutable, so they make stable keys
+  const heightsRef = useRef(new WeakMap());
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const [, setMeasured] = useState(0);
+  // Groups whose folding the user flipped from how they were logged
+  const [toggledGroups, setToggledGroups] = useState(() => new Set());
+  // Group ids start over with each run, so a cleared console forgets them
+  if (entries.length === 0 && toggledGroups.size > 0) {
+    setToggledGroups(new Set());
+  }
+
+  const collapsedGroups = new Set(entries
+    .filter(entry => entry.groupId && Boolean(entry.collapsed) !== toggledGroups.has(entry.groupId))
+    .map(entry => entry.groupId));
+
+  const toggleGroup = (groupId) => {
+    setToggledGroups(groups => {
+      const next = new Set(groups);
+      if (!next.delete(groupId)) {
+        next.add(groupId);
+      }
+      return next;
+    });
+  };
+
+  // Lines key their rows by the id they were added with; lines without one
+  // fall back to their place in the history
+  const lines = entries
+    .map((entry, index) => ({ entry, key: entry.id || `${entry.timestamp}-${index}` }))
+    .filter(({ entry }) => (
+      !(entry.groupPath || []).some(groupId => collapsedGroups.has(groupId))
+      && (!isShown || isShown(entry))
+    ));
+
+  // Offsets of every line, from measured heights where there are some
+  const offsets = [0];
+  lines.forEach(({ entry }, index) => {
+    offsets.push(offsets[index] + (heightsRef.current.get(entry) || ESTIMATED_LINE_HEIGHT));
+  });
+  const totalHeight = offsets[lines.length];
+  const top = viewport.scrollTop - OVERSCAN;
+  const bottom = viewport.scrollTop + viewport.height + OVERSCAN;
+  let first = 0;
+  while (first < lines.length && offsets[first + 1] < top) {
+    first++;
+  }
+  let last = first;
+  while (last < lines.length && offsets[last] <= bottom) {
+    last++;
+  }
+
+  const readViewport = () => {
+    const container = containerRef.current;
+    atBottomRef.current = container.scrollHeight - container.scrollTop - container.clientHeight <= STICK_TO_BOTTOM;
+    setViewport({ scrollTop: container.scrollTop, height: container.clientHeight });
+  };
+
+  useEffect(() => {
+    const observer = new ResizeObserver(readViewport);
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  // Lines change height when an inspector opens or a table wraps, so rendered
+  // lines are measured by an observer, which also reports each row once it
+  // starts observing it. Row refs attach before effects run, so the observer
+  // is made on first use.
+  const rowObserverRef = useRef(null);
+  const getRowObserver = () => {
+    if (!rowObserverRef.current) {
+      rowObserverRef.current = new ResizeObserver(records => {
+        let changed = false;
+        records.forEach(({ target }) => {
+          const entry = target.consoleEntry;
+          if (entry && heightsRef.current.get(entry) !== target.offsetHeight) {
+            heightsRef.current.set(entry, target.offsetHeight);
+            changed = true;
+          }
+        });
+        if (changed) {
+          setMeasured(count => count + 1);
+        }
+      });
+    }
+    return rowObserverRef.current;
+  };
+
+  useEffect(() => () => {
+    if (rowObserverRef.current) {
+      rowObserverRef.current.disconnect();
+      rowObserverRef.current = null;
+    }
+  }, []);
+
+  // One ref per entry, so React keeps a rendered row attached across renders
+  const rowRefsRef = useRef(new WeakMap());
+  const measureRow = (entry) => {
+    if (!rowRefsRef.current.has(entry)) {
+      rowRefsRef.current.set(entry, (element) => {
+        element.consoleEntry = entry;
+        const observer = getRowObserver();
+        observer.observe(element);
+        return () => observer.unobserve(element);
+      });
+    }
+    return rowRefsRef.current.get(entry);
+  };
+
+  useLayoutEffect(() => {
+    if (atBottomRef.current) {
+      containerRef.current.scrollTop = containerRef.current.scrollHeight;
+    }
+  });
+
+  return (
+    <div className="console-container" ref={containerRef} onScroll={readViewport}>
+      {lines.length === 0 ? children : (
+        <div className="console-lines" style={{ height: totalHeight }}>
+          <div style={{ transform: `translateY(${offsets[first]}px)` }}>
+            {lines.slice(first, last).map(({ entry, key }) => {
+              const type = entry.type || 'log';
+              const isGroup = Boolean(entry.groupId);
+              return (
+                <div key={key} className="console-row" ref={measureRow(entry)}>
+                  <div
+                    className={`console-line console-${type} ${entry.method ? `console-method-${entry.method}` : ''}`}
+                    style={entry.depth ? { marginLeft: `${entry.depth * 1.25}rem` } : undefined}
+                  >
+                    <span className="console-timestamp">
+                      {new Date(entry.timestamp).toLocaleTimeString()}
+                    </span>
+                    <span className="console-message">
+                      {getIcon && `${getIcon(type)} `}
+                      {isGroup ? (
+                        <button className="console-group-toggle" onClick={() => toggleGroup(entry.groupId)}>
+                          {collapsedGroups.has(entry.groupId) ? '▶' : '▼'} <Highlight text={entry.message} query={query} />
+                        </button>
+                      ) : entry.table ? (
+                        <ConsoleTable table={entry.table} query={query} />
+                      ) : entry.values && !query ? (
+                        entry.values.map((value, valueIndex) => (
+                          <React.Fragment key={valueIndex}>
+                            {valueIndex > 0 && ' '}
+                            <ValueInspector node={value} topLevel />
+                          </React.Fragment>
+                        ))
+                      ) : (
+                        <Highlight text={entry.message} query={query} />
+                      )}
+                    </span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConsoleEntries;
@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { setConsoleHistoryLimit, CONSOLE_HISTORY_LIMITS } from '../store/eventLoopSlice';
+import ConsoleEntries from './ConsoleEntries';
+
+const LEVELS = [
+  { id: 'log', label: 'Log' },
+  { id: 'info', label: 'Info' },
+  { id: 'warn', label: 'Warn' },
+  { id: 'error', label: 'Error' },
+  { id: 'result', label: 'Result' },
+];
+
+const SOURCES = [
+  { id: 'all', label: 'All sources' },
+  { id: 'user', label: 'Program output' },
+  { id: 'engine', label: 'Engine narration' },
+];
+
+// Task completions are engine info lines with their own icon
+const levelOf = (entry) => (entry.type === 'success' ? 'info' : entry.type || 'log');
+const sourceOf = (entry) => entry.source || 'engine';
+
+// What the copy button says after a copy, and for how long
+const COPY_NOTICES = { copied: '✅ Copied', failed: '⚠️ Copy failed' };
+const COPY_NOTICE_MS = 1500;
+
+// The lines as plain text, indented by their console.group depth
+const toPlainText = (entries) => entries
+  .map(entry => entry.message.split('\n').map(line => `${'  '.repeat(entry.depth || 0)}${line}`).join('\n'))
+  .join('\n');
+
+// The main console: the lines kept under the history limit, filtered by level
+// and source and searched as text. `getIcon(type)` is passed to the lines.
+const ConsolePane = ({ getIcon = null }) => {
+  const dispatch = useDispatch();
+  const { consoleOutput, consoleHistoryLimit, consoleDroppedCount } = useSelector(state => state.eventLoop);
+  const [levels, setLevels] = useState(() => new Set(LEVELS.map(level => level.id)));
+  const [source, setSource] = useState('all');
+  const [query, setQuery] = useState('');
+  const [copyNotice, setCopyNotice] = useState(null);
+
+  useEffect(() => {
+    if (!copyNotice) {
+      return;
+    }
+    const timer = setTimeout(() => setCopyNotice(null), COPY_NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [copyNotice]);
+
+  const search = query.trim().toLowerCase();
+  const isShown = (entry) => (
+    levels.has(levelOf(entry))
+    && (source === 'all' || sourceOf(entry) === source)
+    && (!search || entry.message.toLowerCase().includes(search))
+  );
+  const shown = consoleOutput.filter(isShown);
+  const isFiltered = shown.length !== consoleOutput.length;
+
+  const toggleLevel = (level) => {
+    setLevels(current => {
+      const next = new Set(current);
+      if (!next.delete(level)) {
+        next.add(level);
+      }
+      return next;
+    });
+  };
+
+  // The clipboard can be missing (outside secure contexts) or refused, which
+  // the button reports
+  const copyAll = () => {
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(toPlainText(shown)))
+      .then(() => setCopyNotice('copied'))
+      .catch(() => setCopyNotice('failed'));
+  };
+
+  return (
+    <div className="console-pane">
+      <div className="console-toolbar">
+        <div className="btn-group">
+          {LEVELS.map(level => (
+            <button
+              key={level.id}
+              className={`btn btn-sm ${levels.has(level.id) ? 'btn-secondary' : 'btn-outline-secondary'}`}
+              onClick={() => toggleLevel(level.id)}
+              title={`${levels.has(level.id) ? 'Hide' : 'Show'} ${level.label.toLowerCase()} lines`}
+            >
+              {getIcon && `${getIcon(level.id)} `}{level.label}
+            </button>
+          ))}
+        </div>
+
+        <select
+          className="form-select form-select-sm console-toolbar-select"
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+        >
+          {SOURCES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+        </select>
+
+        <input
+          type="search"
+          className="form-control form-control-sm console-search"
+          placeholder="🔍 Search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+
+        <select
+          className="form-select form-select-sm console-toolbar-select"
+          value={consoleHistoryLimit === null ? '' : consoleHistoryLimit}
+          onChange={(e) => dispatch(setConsoleHistoryLimit(e.target.value ? Number(e.target.value) : null))}
+          title="How many lines the console keeps"
+        >
+          {CONSOLE_HISTORY_LIMITS.map(limit => (
+            <option key={limit} value={limit === null ? '' : limit}>
+              {limit === null ? 'Keep all lines' : `Keep ${limit} lines`}
+            </option>
+          ))}
+        </select>
+
+        <button
+          className="btn btn-sm btn-outline-secondary"
+          onClick={copyAll}
+          disabled={shown.length === 0}
+          title="Copy the lines shown as plain text"
+        >
+          {copyNotice ? COPY_NOTICES[copyNotice] : '📋 Copy all'}
+        </button>
+      </div>
+
+      {(isFiltered || consoleDroppedCount > 0) && (
+        <div className="console-status">
+          {isFiltered && `Showing ${shown.length} of ${consoleOutput.length} lines`}
+          {isFiltered && consoleDroppedCount > 0 && ' · '}
+          {consoleDroppedCount > 0 && `${consoleDroppedCount} earlier line(s) dropped by the history limit`}
+        </div>
+      )}
+
+      <ConsoleEntries entries={consoleOutput} isShown={isShown} getIcon={getIcon} query={query.trim()}>
+        <div className="empty-console">
+          <div className="empty-icon">💻</div>
+          <div className="empty-text">{consoleOutput.length === 0 ? 'No console output yet' : 'No lines match'}</div>
+          <div className="empty-subtext">
+            {consoleOutput.length === 0 ? 'Execute code to see output' : 'Change the filters or the search'}
+          </div>
+        </div>
+      </ConsoleEntries>
+    </div>
+  );
+};
+
+export default ConsolePane;
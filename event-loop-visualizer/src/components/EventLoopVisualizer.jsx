@@ -3,63 +3,98 @@ import { useSelector, useDispatch } from 'react-redux';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   TASK_TYPES, 
-  TASK_STATUS, 
-  ANIMATION_STATES,
-  EXECUTION_STEPS,
-  addTask,
+  LOOP_PHASES,
+  NODE_PHASES,
+  EXECUTION_MODES,
+  RUNTIMES,
   executeNextTask,
-  executeStep,
+  executeCustomCode,
+  terminateExecution,
   setSelectedTask,
   setTooltip,
   setRunning,
   setPaused,
+  toggleBreakpoint,
+  clearBreakpoints,
   setSpeed,
+  setExecutionMode,
+  setRuntime,
+  setApiPolicy,
   clearAll,
-  moveFromWebAPIToCallback,
-  setCurrentCodeSample,
-  clearConsoleOutput,
-  completeTaskExecution,
-  addConsoleOutput
+  setCurrentCodeSample
 } from '../store/eventLoopSlice';
 import CallStack from './CallStack';
 import WebAPIs from './WebAPIs';
 import CallbackQueue from './CallbackQueue';
 import MicrotaskQueue from './MicrotaskQueue';
-import ExecutionArea from './ExecutionArea';
-import CodeEditor from './CodeEditor';
+import NextTickQueue from './NextTickQueue';
+import NodeLoopPhases from './NodeLoopPhases';
+import RenderingPanel from './RenderingPanel';
+import FetchFixtures from './FetchFixtures';
+import ExecutionBudgets from './ExecutionBudgets';
+import { API_POLICIES, API_GROUPS } from '../utils/apiPolicy';
+import ScopeInspector from './ScopeInspector';
+import TimelineScrubber from './TimelineScrubber';
+import SourceEditor from './SourceEditor';
+import ProblemsPanel from './ProblemsPanel';
+import ConsolePane from './ConsolePane';
 
 const EventLoopVisualizer = () => {
   const dispatch = useDispatch();
   const [customCode, setCustomCode] = useState('');
   const [selectedCodeType, setSelectedCodeType] = useState('basic');
-  const [isExecuting, setIsExecuting] = useState(false);
+  // Where the Problems panel last asked the editor to go
+  const [editorFocus, setEditorFocus] = useState(null);
   
+  const eventLoop = useSelector(state => state.eventLoop);
   const {
     callStack,
+    suspendedFrames,
     webAPIs,
     callbackQueue,
     microtaskQueue,
+    nextTickQueue,
+    rafQueue,
+    rendering,
     isRunning,
     speed,
     isPaused,
     currentExecutingTask,
+    loopPhase,
     selectedTask,
     tooltip,
-    executionStep,
     isAnimating,
-    consoleOutput
-  } = useSelector(state => state.eventLoop);
+    executionMode,
+    runtime,
+    apiPolicy,
+    isExecutingCustomCode,
+    isCodeExecuting,
+    streamedEventCount,
+    breakpoints,
+    breakpointHit,
+    codeExecutionPaused,
+    budgetExceeded,
+    stackOverflow,
+    starvation,
+    problems
+  } = eventLoop;
+  
+  // A captured run executes for real before its trace is replayed
+  const isExecuting = isExecutingCustomCode || isCodeExecuting;
+  
+  const isNode = runtime === RUNTIMES.NODE;
+  const nodePhaseQueues = Object.fromEntries(NODE_PHASES.map(phase => [phase, eventLoop[`${phase}Queue`]]));
+  const queuedTaskCount = isNode
+    ? nextTickQueue.length + NODE_PHASES.reduce((count, phase) => count + nodePhaseQueues[phase].length, 0)
+    : callbackQueue.length + rafQueue.length;
+  // Callbacks ready to run, waiting for the loop to get to them
+  const waitingTasks = [
+    ...microtaskQueue,
+    ...(isNode ? [...nextTickQueue, ...NODE_PHASES.flatMap(phase => nodePhaseQueues[phase])] : [...callbackQueue, ...rafQueue])
+  ];
+  const queuedTasks = [...webAPIs, ...waitingTasks];
 
-  const consoleRef = useRef(null);
   const animationIntervalRef = useRef(null);
-  const stepIntervalRef = useRef(null);
-
-  // Auto-scroll console to bottom when new messages arrive
-  useEffect(() => {
-    if (consoleRef.current) {
-      consoleRef.current.scrollTop = consoleRef.current.scrollHeight;
-    }
-  }, [consoleOutput]);
 
   // Predefined code examples
   const codeExamples = {
@@ -100,202 +135,39 @@ Promise.resolve().then(() => {
 });
 console.log('Main thread end');`,
     
+    fetch: `console.log('Requesting user');
+fetch('/api/user')
+  .then(response => response.json())
+  .then(user => console.log('User:', user.name));
+setTimeout(() => console.log('Timeout 100ms'), 100);
+console.log('Request sent');`,
+    
     custom: customCode
   };
 
+  const displayedCode = selectedCodeType === 'custom' ? customCode : codeExamples[selectedCodeType];
+
   // Handle code type selection
   const handleCodeTypeChange = (type) => {
     setSelectedCodeType(type);
+    dispatch(clearBreakpoints());
     if (type !== 'custom') {
       setCustomCode(codeExamples[type]);
     }
   };
 
   // Handle custom code input
-  const handleCustomCodeChange = (e) => {
-    setCustomCode(e.target.value);
+  const handleCustomCodeChange = (code) => {
+    setCustomCode(code);
     setSelectedCodeType('custom');
   };
 
-  // Execute the current code with real execution
-  const executeCode = async () => {
-    const codeToExecute = selectedCodeType === 'custom' ? customCode : codeExamples[selectedCodeType];
+  // Simulate the current code and replay its trace on the visualizer
+  const executeCode = () => {
+    const codeToExecute = displayedCode;
     if (codeToExecute.trim() && !isExecuting) {
-      setIsExecuting(true);
-      dispatch(clearAll());
-      dispatch(addConsoleOutput('🚀 Starting code execution...'));
-      
-      try {
-        // Create a safe execution environment
-        const originalConsole = {
-          log: console.log,
-          error: console.error,
-          warn: console.warn,
-          info: console.info
-        };
-
-        // Override console methods to capture output
-        const capturedLogs = [];
-        console.log = (...args) => {
-          const message = args.map(arg => 
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-          ).join(' ');
-          capturedLogs.push({ type: 'log', message, timestamp: Date.now() });
-          dispatch(addConsoleOutput(`💬 ${message}`));
-          originalConsole.log(...args);
-        };
-
-        console.error = (...args) => {
-          const message = args.map(arg => 
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-          ).join(' ');
-          capturedLogs.push({ type: 'error', message, timestamp: Date.now() });
-          dispatch(addConsoleOutput(`❌ ${message}`));
-          originalConsole.error(...args);
-        };
-
-        console.warn = (...args) => {
-          const message = args.map(arg => 
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-          ).join(' ');
-          capturedLogs.push({ type: 'warn', message, timestamp: Date.now() });
-          dispatch(addConsoleOutput(`⚠️ ${message}`));
-          originalConsole.warn(...args);
-        };
-
-        console.info = (...args) => {
-          const message = args.map(arg => 
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-          ).join(' ');
-          capturedLogs.push({ type: 'info', message, timestamp: Date.now() });
-          dispatch(addConsoleOutput(`ℹ️ ${message}`));
-          originalConsole.info(...args);
-        };
-
-        // Parse and create tasks for visualization
-        const lines = codeToExecute.split('\n');
-        let taskId = 1;
-        const tasks = [];
-
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i].trim();
-          if (!line) continue;
-
-          let task = null;
-          if (line.includes('console.log') || line.includes('console.error') || 
-              line.includes('console.warn') || line.includes('console.info')) {
-            task = {
-              id: taskId++,
-              type: TASK_TYPES.CONSOLE_LOG,
-              description: `Console output: ${line}`,
-              status: TASK_STATUS.PENDING,
-              codeSample: line,
-              lineNumber: i + 1,
-              queue: 'callStack'
-            };
-          } else if (line.includes('setTimeout')) {
-            const delayMatch = line.match(/setTimeout.*?(\d+)/);
-            const delay = delayMatch ? parseInt(delayMatch[1]) : 1000;
-            task = {
-              id: taskId++,
-              type: TASK_TYPES.SET_TIMEOUT,
-              description: `setTimeout callback (${delay}ms)`,
-              status: TASK_STATUS.WAITING,
-              codeSample: line,
-              delay: delay,
-              lineNumber: i + 1,
-              queue: 'webAPIs'
-            };
-          } else if (line.includes('Promise') || line.includes('new Promise')) {
-            task = {
-              id: taskId++,
-              type: TASK_TYPES.PROMISE,
-              description: 'Promise microtask',
-              status: TASK_STATUS.PENDING,
-              codeSample: line,
-              lineNumber: i + 1,
-              queue: 'microtaskQueue'
-            };
-          } else if (line.includes('async') || line.includes('await')) {
-            task = {
-              id: taskId++,
-              type: TASK_TYPES.ASYNC_AWAIT,
-              description: 'Async/await operation',
-              status: TASK_STATUS.PENDING,
-              codeSample: line,
-              lineNumber: i + 1,
-              queue: 'microtaskQueue'
-            };
-          } else if (line.includes('const') || line.includes('let') || line.includes('var')) {
-            task = {
-              id: taskId++,
-              type: TASK_TYPES.VARIABLE_ASSIGNMENT,
-              description: `Variable assignment: ${line}`,
-              status: TASK_STATUS.PENDING,
-              codeSample: line,
-              lineNumber: i + 1,
-              queue: 'callStack'
-            };
-          } else if (line.includes('function') || (line.includes('(') && line.includes(')'))) {
-            task = {
-              id: taskId++,
-              type: TASK_TYPES.FUNCTION_CALL,
-              description: `Function call: ${line}`,
-              status: TASK_STATUS.PENDING,
-              codeSample: line,
-              lineNumber: i + 1,
-              queue: 'callStack'
-            };
-          } else {
-            task = {
-              id: taskId++,
-              type: TASK_TYPES.SYNCHRONOUS,
-              description: `Synchronous: ${line}`,
-              status: TASK_STATUS.PENDING,
-              codeSample: line,
-              lineNumber: i + 1,
-              queue: 'callStack'
-            };
-          }
-
-          if (task) {
-            tasks.push(task);
-            dispatch(addTask(task));
-            dispatch(addConsoleOutput(`📝 Created task: ${task.description}`));
-          }
-        }
-
-        // Execute the code
-        dispatch(addConsoleOutput('⚡ Executing JavaScript code...'));
-        
-        // Create a safe execution context
-        const safeEval = (code) => {
-          // Create a new Function to avoid eval security issues
-          const func = new Function('console', code);
-          return func(console);
-        };
-
-        // Execute the code
-        const result = safeEval(codeToExecute);
-        
-        if (result !== undefined) {
-          dispatch(addConsoleOutput(`📤 Return value: ${JSON.stringify(result)}`));
-        }
-
-        // Restore original console methods
-        console.log = originalConsole.log;
-        console.error = originalConsole.error;
-        console.warn = originalConsole.warn;
-        console.info = originalConsole.info;
-
-        dispatch(addConsoleOutput('🎉 Code execution completed successfully!'));
-        
-      } catch (error) {
-        dispatch(addConsoleOutput(`❌ Execution error: ${error.message}`));
-        console.error('Code execution error:', error);
-      } finally {
-        setIsExecuting(false);
-      }
+      dispatch(executeCustomCode(codeToExecute));
+      dispatch(setRunning(true));
     }
   };
 
@@ -304,7 +176,7 @@ console.log('Main thread end');`,
     if (isRunning && !isPaused && !isAnimating) {
       animationIntervalRef.current = setInterval(() => {
         dispatch(executeNextTask());
-      }, 3000 / speed); // Increased timing for better visualization
+      }, 1000 / speed); // One trace event or loop step per tick
     } else {
       if (animationIntervalRef.current) {
         clearInterval(animationIntervalRef.current);
@@ -319,94 +191,6 @@ console.log('Main thread end');`,
     };
   }, [isRunning, isPaused, speed, dispatch, isAnimating]);
 
-  // Handle step-by-step execution
-  useEffect(() => {
-    if (currentExecutingTask && executionStep !== EXECUTION_STEPS.IDLE) {
-      const steps = [
-        EXECUTION_STEPS.ENTERING_CALL_STACK,
-        EXECUTION_STEPS.EXECUTING_CODE,
-        EXECUTION_STEPS.COMPLETING
-      ];
-      
-      let stepIndex = 0;
-      const executeNextStep = () => {
-        if (stepIndex < steps.length) {
-          dispatch(executeStep(steps[stepIndex]));
-          stepIndex++;
-          stepIntervalRef.current = setTimeout(executeNextStep, 2000 / speed);
-        } else {
-          // Task execution complete - trigger completion
-          setTimeout(() => {
-            dispatch(completeTaskExecution(currentExecutingTask.id));
-          }, 1000 / speed);
-        }
-      };
-      
-      executeNextStep();
-    }
-
-    return () => {
-      if (stepIntervalRef.current) {
-        clearTimeout(stepIntervalRef.current);
-      }
-    };
-  }, [currentExecutingTask, executionStep, speed, dispatch]);
-
-  // Enhanced task execution with automatic completion
-  useEffect(() => {
-    if (currentExecutingTask && executionStep === EXECUTION_STEPS.EXECUTING_CODE) {
-      // Simulate task execution time based on task type
-      let executionTime = 2000; // Default 2 seconds
-      
-      switch (currentExecutingTask.type) {
-        case TASK_TYPES.CONSOLE_LOG:
-          executionTime = 1000; // Fast for console.log
-          break;
-        case TASK_TYPES.SET_TIMEOUT:
-          executionTime = 1500; // Medium for setTimeout
-          break;
-        case TASK_TYPES.PROMISE:
-          executionTime = 1200; // Medium for Promise
-          break;
-        case TASK_TYPES.ASYNC_AWAIT:
-          executionTime = 1800; // Medium for async/await
-          break;
-        case TASK_TYPES.VARIABLE_ASSIGNMENT:
-          executionTime = 800; // Fast for variable assignment
-          break;
-        case TASK_TYPES.FUNCTION_CALL:
-          executionTime = 1500; // Medium for function calls
-          break;
-        case TASK_TYPES.SYNCHRONOUS:
-          executionTime = 1000; // Fast for synchronous tasks
-          break;
-        default:
-          executionTime = 2000;
-      }
-      
-      // Complete the task after execution time
-      const completionTimer = setTimeout(() => {
-        dispatch(completeTaskExecution(currentExecutingTask.id));
-      }, executionTime / speed);
-      
-      return () => clearTimeout(completionTimer);
-    }
-  }, [currentExecutingTask, executionStep, speed, dispatch]);
-
-  // Simulate Web API timeouts with enhanced animation
-  useEffect(() => {
-    webAPIs.forEach(task => {
-      if (task.type === TASK_TYPES.SET_TIMEOUT && task.status === TASK_STATUS.WAITING && !task.timeoutSet) {
-        // Mark that we've set a timeout for this task
-        task.timeoutSet = true;
-        
-        setTimeout(() => {
-          dispatch(moveFromWebAPIToCallback(task.id));
-        }, (task.delay || 1000) / speed);
-      }
-    });
-  }, [webAPIs, dispatch, speed]);
-
   const handleTaskClick = (task) => {
     dispatch(setSelectedTask(task));
     if (task.codeSample) {
@@ -447,6 +231,31 @@ console.log('Main thread end');`,
     }
   };
 
+  const getLoopPhaseLabel = (phase) => {
+    switch (phase) {
+      case LOOP_PHASES.SCRIPT:
+        return '⚡ Running script';
+      case LOOP_PHASES.MICROTASK_CHECKPOINT:
+        return '🔮 Microtask checkpoint';
+      case LOOP_PHASES.MACROTASK:
+        return '⏰ Macrotask';
+      case LOOP_PHASES.RENDER:
+        return '🎨 Rendering';
+      case LOOP_PHASES.TIMERS:
+        return '⏰ Timers phase';
+      case LOOP_PHASES.PENDING:
+        return '📨 Pending callbacks phase';
+      case LOOP_PHASES.POLL:
+        return '📡 Poll phase';
+      case LOOP_PHASES.CHECK:
+        return '✔️ Check phase';
+      case LOOP_PHASES.CLOSE:
+        return '🔌 Close callbacks phase';
+      default:
+        return '💤 Idle';
+    }
+  };
+
   const getConsoleMessageIcon = (type) => {
     switch (type) {
       case 'info':
@@ -478,6 +287,8 @@ console.log('Main thread end');`,
                 <div className="event-loop-cell call-stack-cell">
                   <CallStack 
                     tasks={callStack}
+                    suspendedFrames={suspendedFrames}
+                    overflow={stackOverflow}
                     onTaskClick={handleTaskClick}
                     onTaskHover={handleTaskHover}
                     onTaskLeave={handleTaskLeave}
@@ -487,6 +298,8 @@ console.log('Main thread end');`,
                 <div className="event-loop-cell web-apis-cell">
                   <WebAPIs 
                     tasks={webAPIs}
+                    title={isNode ? 'Node APIs (libuv)' : 'Web APIs'}
+                    description={isNode ? 'Timers waiting in the libuv timer heap' : 'Browser APIs for async operations'}
                     onTaskClick={handleTaskClick}
                     onTaskHover={handleTaskHover}
                     onTaskLeave={handleTaskLeave}
@@ -519,13 +332,18 @@ console.log('Main thread end');`,
 
                     {/* Code Input Area */}
                     <div className="code-input-area">
-                      <textarea
-                        className="code-textarea"
-                        value={selectedCodeType === 'custom' ? customCode : codeExamples[selectedCodeType]}
+                      <SourceEditor
+                        value={displayedCode}
                         onChange={handleCustomCodeChange}
-                        placeholder="Enter your JavaScript code here..."
-                        rows={8}
-                        disabled={isExecuting}
+                        readOnly={isExecuting}
+                        runningTask={currentExecutingTask}
+                        queuedTasks={waitingTasks}
+                        breakpoints={breakpoints}
+                        pausedLine={codeExecutionPaused && breakpointHit ? breakpointHit.lineNumber : null}
+                        diagnostic={budgetExceeded}
+                        problems={problems}
+                        focusTarget={editorFocus}
+                        onToggleBreakpoint={(line) => dispatch(toggleBreakpoint(line))}
                       />
                     </div>
 
@@ -538,6 +356,15 @@ console.log('Main thread end');`,
                       >
                         {isExecuting ? '⏳ Executing...' : '▶️ Execute Code'}
                       </button>
+                      {isExecutingCustomCode && (
+                        <button 
+                          className="btn btn-danger btn-sm"
+                          onClick={() => dispatch(terminateExecution())}
+                          title="Kill the running code and replay what it did so far"
+                        >
+                          🛑 Terminate{streamedEventCount > 0 ? ` (${streamedEventCount} events)` : ''}
+                        </button>
+                      )}
                       <button 
                         className="btn btn-secondary btn-sm"
                         onClick={() => dispatch(clearAll())}
@@ -546,15 +373,21 @@ console.log('Main thread end');`,
                         🗑️ Clear All
                       </button>
                     </div>
+
+                    <ProblemsPanel
+                      problems={problems}
+                      onSelect={({ lineNumber, column }) => setEditorFocus({ lineNumber, column })}
+                    />
                   </div>
                 </div>
               </div>
 
-              {/* Bottom Row - Microtask Queue, Callback Queue, and Console Output */}
+              {/* Bottom Row - Microtask Queue, Callback Queue (Node: nextTick Queue), and Console Output */}
               <div className="event-loop-row bottom-row">
                 <div className="event-loop-cell microtask-cell">
                   <MicrotaskQueue 
                     tasks={microtaskQueue}
+                    starvation={starvation}
                     onTaskClick={handleTaskClick}
                     onTaskHover={handleTaskHover}
                     onTaskLeave={handleTaskLeave}
@@ -562,13 +395,23 @@ console.log('Main thread end');`,
                   />
                 </div>
                 <div className="event-loop-cell callback-cell">
-                  <CallbackQueue 
-                    tasks={callbackQueue}
-                    onTaskClick={handleTaskClick}
-                    onTaskHover={handleTaskHover}
-                    onTaskLeave={handleTaskLeave}
-                    selectedTask={selectedTask}
-                  />
+                  {isNode ? (
+                    <NextTickQueue 
+                      tasks={nextTickQueue}
+                      onTaskClick={handleTaskClick}
+                      onTaskHover={handleTaskHover}
+                      onTaskLeave={handleTaskLeave}
+                      selectedTask={selectedTask}
+                    />
+                  ) : (
+                    <CallbackQueue 
+                      tasks={callbackQueue}
+                      onTaskClick={handleTaskClick}
+                      onTaskHover={handleTaskHover}
+                      onTaskLeave={handleTaskLeave}
+                      selectedTask={selectedTask}
+                    />
+                  )}
                 </div>
                 <div className="event-loop-cell console-cell">
                   <div className="console-output-container">
@@ -579,39 +422,41 @@ console.log('Main thread end');`,
                       </div>
                     </div>
                     <div className="console-output-area">
-                      <div className="console-container" ref={consoleRef}>
-                        <AnimatePresence>
-                          {consoleOutput.map((output, index) => (
-                            <motion.div
-                              key={output.timestamp}
-                              className={`console-line console-${output.type || 'log'}`}
-                              initial={{ opacity: 0, x: -20 }}
-                              animate={{ opacity: 1, x: 0 }}
-                              exit={{ opacity: 0, x: 20 }}
-                              transition={{ duration: 0.3 }}
-                            >
-                              <span className="console-timestamp">
-                                {new Date(output.timestamp).toLocaleTimeString()}
-                              </span>
-                              <span className="console-message">
-                                {getConsoleMessageIcon(output.type)} {output.message}
-                              </span>
-                            </motion.div>
-                          ))}
-                        </AnimatePresence>
-                        
-                        {consoleOutput.length === 0 && (
-                          <div className="empty-console">
-                            <div className="empty-icon">💻</div>
-                            <div className="empty-text">No console output yet</div>
-                            <div className="empty-subtext">Execute code to see output</div>
-                          </div>
-                        )}
-                      </div>
+                      <ConsolePane getIcon={getConsoleMessageIcon} />
                     </div>
                   </div>
                 </div>
               </div>
+
+              {/* Node.js Row - one queue per libuv phase; browser row - rendering */}
+              {isNode ? (
+                <div className="event-loop-row node-row">
+                  <div className="event-loop-cell node-phases-cell">
+                    <NodeLoopPhases 
+                      queues={nodePhaseQueues}
+                      activePhase={loopPhase}
+                      onTaskClick={handleTaskClick}
+                      onTaskHover={handleTaskHover}
+                      onTaskLeave={handleTaskLeave}
+                      selectedTask={selectedTask}
+                    />
+                  </div>
+                </div>
+              ) : (
+                <div className="event-loop-row render-row">
+                  <div className="event-loop-cell rendering-cell">
+                    <RenderingPanel 
+                      rafTasks={rafQueue}
+                      rendering={rendering}
+                      loopPhase={loopPhase}
+                      onTaskClick={handleTaskClick}
+                      onTaskHover={handleTaskHover}
+                      onTaskLeave={handleTaskLeave}
+                      selectedTask={selectedTask}
+                    />
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
@@ -629,7 +474,11 @@ console.log('Main thread end');`,
                 <div className="status-item">
                   <span className="status-label">Status:</span>
                   <span className="status-value">
-                    {isExecuting ? '🔄 Executing' : isRunning ? '🔄 Running' : '⏸️ Paused'}
+                    {codeExecutionPaused && breakpointHit
+                      ? `⏸️ Paused at line ${breakpointHit.lineNumber}`
+                      : budgetExceeded && budgetExceeded.budget !== 'maxCallDepth' && !isExecuting
+                        ? `🛑 Budget exceeded at line ${budgetExceeded.lineNumber}`
+                        : isExecuting && isRunning ? '🔄 Executing' : isRunning ? '🔄 Running' : '⏸️ Paused'}
                   </span>
                 </div>
                 
@@ -640,10 +489,31 @@ console.log('Main thread end');`,
                   </span>
                 </div>
                 
+                <div className="status-item">
+                  <span className="status-label">Runtime:</span>
+                  <span className="status-value">
+                    {isNode ? '🟢 Node.js' : '🌐 Browser'}
+                  </span>
+                </div>
+                
+                <div className="status-item">
+                  <span className="status-label">Mode:</span>
+                  <span className="status-value">
+                    {executionMode === EXECUTION_MODES.CAPTURED ? '🎯 Captured' : '🧪 Simulated'}
+                  </span>
+                </div>
+                
+                <div className="status-item">
+                  <span className="status-label">Phase:</span>
+                  <span className="status-value">
+                    {getLoopPhaseLabel(loopPhase)}
+                  </span>
+                </div>
+                
                 <div className="status-item">
                   <span className="status-label">Tasks:</span>
                   <span className="status-value">
-                    {callStack.length + webAPIs.length + microtaskQueue.length + callbackQueue.length} total
+                    {callStack.length + webAPIs.length + microtaskQueue.length + queuedTaskCount} total
                   </span>
                 </div>
                 
@@ -658,15 +528,23 @@ console.log('Main thread end');`,
                 )}
               </div>
               
+              <ScopeInspector 
+                callStack={callStack}
+                queuedTasks={queuedTasks}
+                selectedTask={selectedTask}
+                onTaskClick={handleTaskClick}
+              />
+              
               <div className="simple-controls">
                 <button 
                   className="btn btn-primary btn-sm w-100 mb-2"
-                  onClick={() => dispatch(setRunning(!isRunning))}
-                  disabled={isExecuting}
+                  onClick={() => dispatch(isPaused ? setPaused(false) : setRunning(!isRunning))}
                 >
-                  {isRunning ? '⏸️ Pause' : '▶️ Resume'}
+                  {isPaused ? '▶️ Continue' : isRunning ? '⏸️ Pause' : '▶️ Resume'}
                 </button>
                 
+                <TimelineScrubber />
+                
                 <button 
                   className="btn btn-secondary btn-sm w-100 mb-2"
                   onClick={() => dispatch(clearAll())}
@@ -681,26 +559,91 @@ console.log('Main thread end');`,
                     <button 
                       className={`btn btn-sm ${speed === 0.5 ? 'btn-primary' : 'btn-outline-primary'}`}
                       onClick={() => dispatch(setSpeed(0.5))}
-                      disabled={isExecuting}
                     >
                       🐌
                     </button>
                     <button 
                       className={`btn btn-sm ${speed === 1 ? 'btn-primary' : 'btn-outline-primary'}`}
                       onClick={() => dispatch(setSpeed(1))}
-                      disabled={isExecuting}
                     >
                       ⚡
                     </button>
                     <button 
                       className={`btn btn-sm ${speed === 2 ? 'btn-primary' : 'btn-outline-primary'}`}
                       onClick={() => dispatch(setSpeed(2))}
-                      disabled={isExecuting}
                     >
                       🚀
                     </button>
                   </div>
                 </div>
+                
+                <div className="speed-controls">
+                  <label className="speed-label">Execution mode:</label>
+                  <div className="btn-group w-100">
+                    <button 
+                      className={`btn btn-sm ${executionMode === EXECUTION_MODES.SIMULATED ? 'btn-primary' : 'btn-outline-primary'}`}
+                      onClick={() => dispatch(setExecutionMode(EXECUTION_MODES.SIMULATED))}
+                      disabled={isExecuting}
+                      title="Run on the virtual-clock simulator"
+                    >
+                      🧪 Simulated
+                    </button>
+                    <button 
+                      className={`btn btn-sm ${executionMode === EXECUTION_MODES.CAPTURED ? 'btn-primary' : 'btn-outline-primary'}`}
+                      onClick={() => dispatch(setExecutionMode(EXECUTION_MODES.CAPTURED))}
+                      disabled={isExecuting || isNode}
+                      title={isNode ? 'Node.js runs are simulated only' : 'Run on the real engine and capture its async events'}
+                    >
+                      🎯 Captured
+                    </button>
+                  </div>
+                </div>
+                
+                <div className="speed-controls">
+                  <label className="speed-label">Runtime:</label>
+                  <div className="btn-group w-100">
+                    <button 
+                      className={`btn btn-sm ${!isNode ? 'btn-primary' : 'btn-outline-primary'}`}
+                      onClick={() => dispatch(setRuntime(RUNTIMES.BROWSER))}
+                      disabled={isExecuting}
+                      title="Tasks, microtasks and the browser's Web APIs"
+                    >
+                      🌐 Browser
+                    </button>
+                    <button 
+                      className={`btn btn-sm ${isNode ? 'btn-primary' : 'btn-outline-primary'}`}
+                      onClick={() => dispatch(setRuntime(RUNTIMES.NODE))}
+                      disabled={isExecuting}
+                      title="libuv phases, process.nextTick and setImmediate"
+                    >
+                      🟢 Node.js
+                    </button>
+                  </div>
+                </div>
+                
+                <div className="speed-controls">
+                  <label className="speed-label">API policy:</label>
+                  <div className="btn-group w-100">
+                    {Object.entries(API_POLICIES).map(([name, policy]) => (
+                      <button
+                        key={name}
+                        className={`btn btn-sm ${apiPolicy === name ? 'btn-primary' : 'btn-outline-primary'}`}
+                        onClick={() => dispatch(setApiPolicy(name))}
+                        disabled={isExecuting}
+                        title={policy.description}
+                      >
+                        {policy.icon} {policy.label}
+                      </button>
+                    ))}
+                  </div>
+                  <small className="api-policy-groups">
+                    Allows: {API_POLICIES[apiPolicy].groups.map(group => API_GROUPS[group].label).join(', ')}
+                  </small>
+                </div>
+                
+                <FetchFixtures />
+                
+                <ExecutionBudgets />
               </div>
             </div>
           </div>
@@ -0,0 +1,49 @@
+import React from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { updateBudget, resetBudgets } from '../store/eventLoopSlice';
+import { BUDGET_LIMITS, DEFAULT_BUDGETS } from '../utils/executionBudgets';
+
+// Limits for the next run. A loop, task or timer budget that runs out stops
+// the run on the offending line; recursion past the call depth throws
+// "Maximum call stack size exceeded". A checkpoint that drains more
+// microtasks than its threshold pauses the replay on the starving chain and
+// then stops the run.
+const ExecutionBudgets = () => {
+  const dispatch = useDispatch();
+  const { budgets, isExecutingCustomCode, isCodeExecuting } = useSelector(state => state.eventLoop);
+  const isExecuting = isExecutingCustomCode || isCodeExecuting;
+  const isDefault = Object.keys(DEFAULT_BUDGETS).every(name => budgets[name] === DEFAULT_BUDGETS[name]);
+
+  return (
+    <div className="execution-budgets">
+      <div className="execution-budgets-header">
+        <label className="speed-label">🧮 Execution budgets</label>
+        <button
+          className="btn btn-sm btn-outline-secondary"
+          onClick={() => dispatch(resetBudgets())}
+          disabled={isExecuting || isDefault}
+        >
+          ↺ Defaults
+        </button>
+      </div>
+
+      {Object.entries(BUDGET_LIMITS).map(([name, { label, min, max }]) => (
+        <div key={name} className="execution-budget-row">
+          <span className="execution-budget-label">{label}</span>
+          <input
+            type="number"
+            className="form-control form-control-sm"
+            value={budgets[name]}
+            min={min}
+            max={max}
+            onChange={(e) => dispatch(updateBudget({ name, value: Number(e.target.value) || min }))}
+            disabled={isExecuting}
+            title={`${label}: ${min} to ${max}`}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ExecutionBudgets;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  addFetchFixture,
+  updateFetchFixture,
+  removeFetchFixture
+} from '../store/eventLoopSlice';
+
+const MotionDiv = motion.div;
+
+// Table of responses the mock fetch serves. Requests to any other URL fail
+// with "Failed to fetch", like a network error.
+const FetchFixtures = () => {
+  const dispatch = useDispatch();
+  const { fetchFixtures, isExecutingCustomCode, isCodeExecuting } = useSelector(state => state.eventLoop);
+  const isExecuting = isExecutingCustomCode || isCodeExecuting;
+
+  const handleChange = (id, field, value) => {
+    dispatch(updateFetchFixture({ id, changes: { [field]: value } }));
+  };
+
+  // Numbers are stored as numbers so runs never see a half-typed value
+  const handleNumberChange = (id, field, value) => {
+    handleChange(id, field, Math.max(0, Number(value) || 0));
+  };
+
+  return (
+    <div className="fetch-fixtures">
+      <div className="fetch-fixtures-header">
+        <label className="speed-label">🌐 fetch fixtures</label>
+        <button
+          className="btn btn-sm btn-outline-primary"
+          onClick={() => dispatch(addFetchFixture())}
+          disabled={isExecuting}
+        >
+          ➕ Add
+        </button>
+      </div>
+
+      <AnimatePresence>
+        {fetchFixtures.map(fixture => (
+          <MotionDiv
+            key={fixture.id}
+            className="fetch-fixture"
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.2 }}
+          >
+            <div className="fetch-fixture-row">
+              <input
+                className="form-control form-control-sm fetch-fixture-url"
+                value={fixture.url}
+                onChange={(e) => handleChange(fixture.id, 'url', e.target.value)}
+                disabled={isExecuting}
+                placeholder="/api/path"
+                title="URL or path"
+              />
+              <button
+                className="btn btn-sm btn-outline-danger"
+                onClick={() => dispatch(removeFetchFixture(fixture.id))}
+                disabled={isExecuting}
+                title="Remove fixture"
+              >
+                🗑️
+              </button>
+            </div>
+            <div className="fetch-fixture-row">
+              <input
+                type="number"
+                className="form-control form-control-sm"
+                value={fixture.status}
+                onChange={(e) => handleNumberChange(fixture.id, 'status', e.target.value)}
+                disabled={isExecuting}
+                title="Status"
+              />
+              <input
+                type="number"
+                className="form-control form-control-sm"
+                value={fixture.latency}
+                onChange={(e) => handleNumberChange(fixture.id, 'latency', e.target.value)}
+                disabled={isExecuting}
+                title="Latency (ms)"
+              />
+              <span className="fetch-fixture-unit">ms</span>
+            </div>
+            <textarea
+              className="form-control form-control-sm fetch-fixture-body"
+              value={fixture.body}
+              onChange={(e) => handleChange(fixture.id, 'body', e.target.value)}
+              disabled={isExecuting}
+              rows={2}
+              title="Response body"
+            />
+          </MotionDiv>
+        ))}
+      </AnimatePresence>
+
+      {fetchFixtures.length === 0 && (
+        <div className="fetch-fixtures-empty">Every fetch will fail with a network error</div>
+      )}
+    </div>
+  );
+};
+
+export default FetchFixtures;
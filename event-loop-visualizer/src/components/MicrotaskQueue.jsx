@@ -2,7 +2,21 @@ import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { TASK_STATUS, ANIMATION_STATES } from '../store/eventLoopSlice';
 
-const MicrotaskQueue = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask }) => {
+// What a starving checkpoint holds up, e.g. "2 ready macrotasks and rendering"
+const describeStarvedWork = ({ tasks, render }) => {
+  const parts = [];
+  if (tasks > 0) {
+    parts.push(`${tasks} ready macrotask${tasks === 1 ? '' : 's'}`);
+  }
+  if (render) {
+    parts.push('rendering');
+  }
+  return parts.length > 0 ? parts.join(' and ') : 'the tasks and timers behind it';
+};
+
+// `starvation` is set while one checkpoint has drained more microtasks than
+// the starvation threshold; the chain that keeps it going is highlighted
+const MicrotaskQueue = ({ tasks, starvation = null, onTaskClick, onTaskHover, onTaskLeave, selectedTask }) => {
   const getTaskColor = (task) => {
     switch (task.status) {
       case TASK_STATUS.EXECUTING:
@@ -94,12 +108,41 @@ const MicrotaskQueue = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selected
         </div>
       </div>
       
+      <AnimatePresence>
+        {starvation && (
+          <motion.div
+            className="starvation-warning"
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="starvation-title">🔁 Microtask starvation</div>
+            <div className="starvation-text">
+              This checkpoint has run {starvation.drained} microtasks and the queue is still not empty: each one
+              queues another. The event loop only moves on to a task or a frame once the queue is empty, so{' '}
+              {describeStarvedWork(starvation.starved)} {starvation.starved.tasks === 1 && !starvation.starved.render ? 'is' : 'are'} starved
+              until the chain ends.
+            </div>
+            <ul className="starvation-chain">
+              {starvation.chain.map(source => (
+                <li key={`${source.lineNumber}:${source.description}`}>
+                  <span className="starvation-source">{source.description}</span>
+                  <span className="starvation-line">line {source.lineNumber}</span>
+                  <span className="starvation-count">×{source.count}</span>
+                </li>
+              ))}
+            </ul>
+          </motion.div>
+        )}
+      </AnimatePresence>
+      
       <div className="microtask-queue-area">
         <AnimatePresence>
           {tasks.map((task, index) => (
             <motion.div
               key={task.id}
-              className={`task-item ${selectedTask?.id === task.id ? 'selected' : ''}`}
+              className={`task-item ${selectedTask?.id === task.id ? 'selected' : ''} ${starvation && starvation.taskIds.includes(task.id) ? 'starving' : ''}`}
               variants={getAnimationVariants(task, index)}
               initial="initial"
               animate={task.status === TASK_STATUS.EXECUTING ? "executing" : 
@@ -130,8 +173,14 @@ const MicrotaskQueue = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selected
                 <div className="task-title">{task.description}</div>
                 <div className="task-details">
                   <span className="task-type">{task.type}</span>
+                  {task.source && (
+                    <span className="task-source">from {task.source}</span>
+                  )}
                   <span className="task-id">#{task.id}</span>
                   <span className="queue-position">#{index + 1}</span>
+                  {starvation && starvation.taskIds.includes(task.id) && (
+                    <span className="task-chain" title="Queued by a microtask in the starving chain">🔁 chain</span>
+                  )}
                 </div>
                 {task.status === TASK_STATUS.EXECUTING && (
                   <div className="progress-bar">
@@ -0,0 +1,82 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { TASK_STATUS, LOOP_PHASES, NODE_PHASES } from '../store/eventLoopSlice';
+
+const MotionDiv = motion.div;
+
+const PHASE_INFO = {
+  [LOOP_PHASES.TIMERS]: { title: 'Timers', icon: '⏰', description: 'Expired setTimeout / setInterval' },
+  [LOOP_PHASES.PENDING]: { title: 'Pending callbacks', icon: '📨', description: 'Deferred I/O callbacks' },
+  [LOOP_PHASES.POLL]: { title: 'Poll', icon: '📡', description: 'I/O; waits here for timers' },
+  [LOOP_PHASES.CHECK]: { title: 'Check', icon: '✔️', description: 'setImmediate callbacks' },
+  [LOOP_PHASES.CLOSE]: { title: 'Close callbacks', icon: '🔌', description: "'close' event handlers" },
+};
+
+// The libuv phases of one Node.js loop iteration, left to right, each with
+// the callbacks waiting for it
+const NodeLoopPhases = ({ queues, activePhase, onTaskClick, onTaskHover, onTaskLeave, selectedTask }) => {
+  const getTaskColor = (task) => {
+    switch (task.status) {
+      case TASK_STATUS.EXECUTING:
+        return '#28a745';
+      case TASK_STATUS.CANCELLED:
+        return '#adb5bd';
+      default:
+        return '#0d6efd';
+    }
+  };
+
+  return (
+    <div className="node-phases-container">
+      <div className="component-header">
+        <h3>Node.js Event Loop Phases</h3>
+        <div className="component-description">
+          libuv visits each phase in order on every loop iteration
+        </div>
+      </div>
+
+      <div className="node-phases">
+        {NODE_PHASES.map((phase, index) => {
+          const info = PHASE_INFO[phase];
+          const tasks = queues[phase];
+          return (
+            <MotionDiv
+              key={phase}
+              className={`node-phase ${activePhase === phase ? 'active' : ''}`}
+              animate={{ scale: activePhase === phase ? 1.03 : 1 }}
+              transition={{ duration: 0.3 }}
+            >
+              <div className="node-phase-header">
+                <span className="node-phase-step">{index + 1}</span>
+                <span>{info.icon} {info.title}</span>
+              </div>
+              <div className="node-phase-description">{info.description}</div>
+              <div className="node-phase-tasks">
+                <AnimatePresence>
+                  {tasks.map(task => (
+                    <MotionDiv
+                      key={task.id}
+                      className={`node-phase-task ${selectedTask?.id === task.id ? 'selected' : ''} ${task.status === TASK_STATUS.CANCELLED ? 'cancelled' : ''}`}
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0, y: -20 }}
+                      transition={{ duration: 0.3 }}
+                      onClick={() => onTaskClick(task)}
+                      onMouseEnter={(e) => onTaskHover(task, e)}
+                      onMouseLeave={onTaskLeave}
+                      style={{ backgroundColor: getTaskColor(task) }}
+                    >
+                      <span className="task-id">#{task.id}</span> {task.description}
+                    </MotionDiv>
+                  ))}
+                </AnimatePresence>
+              </div>
+            </MotionDiv>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default NodeLoopPhases;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Parse errors and uncaught exceptions of the run so far, each with where it
+// happened. Clicking one hands it to `onSelect`, which moves the editor there.
+const ProblemsPanel = ({ problems, onSelect }) => (
+  <div className="problems-panel">
+    <div className="problems-header">
+      <label className="speed-label">⚠️ Problems</label>
+      <span className={`badge ${problems.length > 0 ? 'bg-danger' : 'bg-secondary'}`}>{problems.length}</span>
+    </div>
+
+    {problems.length === 0 ? (
+      <div className="problems-empty">No problems so far</div>
+    ) : (
+      <ul className="problems-list">
+        {problems.map((problem, index) => (
+          <li key={index}>
+            <button
+              className="problem-item"
+              onClick={() => onSelect(problem)}
+              title={`Go to line ${problem.lineNumber}`}
+            >
+              <span className="problem-icon">{problem.source === 'parse' ? '⛔' : '❌'}</span>
+              <span className="problem-message">{problem.message}</span>
+              <span className="problem-location">
+                Ln {problem.lineNumber}{problem.column ? `, Col ${problem.column}` : ''}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default ProblemsPanel;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { TASK_STATUS, LOOP_PHASES } from '../store/eventLoopSlice';
+
+const MotionDiv = motion.div;
+
+const RENDER_STEPS = [
+  { step: 'animationFrames', title: 'rAF', icon: '🎞️' },
+  { step: 'style', title: 'Style', icon: '🎨' },
+  { step: 'layout', title: 'Layout', icon: '📐' },
+  { step: 'paint', title: 'Paint', icon: '🖌️' },
+];
+
+// The browser's update-the-rendering step: requestAnimationFrame callbacks,
+// then style, layout and paint, at most once per 16.6ms frame
+const RenderingPanel = ({ rafTasks, rendering, loopPhase, onTaskClick, onTaskHover, onTaskLeave, selectedTask }) => {
+  const isRendering = loopPhase === LOOP_PHASES.RENDER;
+
+  const getTaskColor = (task) => {
+    switch (task.status) {
+      case TASK_STATUS.EXECUTING:
+        return '#28a745';
+      case TASK_STATUS.CANCELLED:
+        return '#adb5bd';
+      default:
+        return '#e83e8c';
+    }
+  };
+
+  return (
+    <div className="rendering-container">
+      <div className="component-header">
+        <h3>Rendering</h3>
+        <div className="component-description">
+          Frame {rendering.frame}
+          {rendering.skipped > 0 && (
+            <span className="rendering-skipped"> · {rendering.skipped} frame{rendering.skipped === 1 ? '' : 's'} skipped</span>
+          )}
+        </div>
+      </div>
+
+      <div className="rendering-body">
+        <div className="rendering-pipeline">
+          {RENDER_STEPS.map(({ step, title, icon }) => (
+            <MotionDiv
+              key={step}
+              className={`rendering-step ${isRendering && rendering.step === step ? 'active' : ''}`}
+              animate={{ scale: isRendering && rendering.step === step ? 1.08 : 1 }}
+              transition={{ duration: 0.3 }}
+            >
+              {icon} {title}
+            </MotionDiv>
+          ))}
+        </div>
+
+        <div className="rendering-columns">
+          <div className="raf-callbacks">
+            <div className="rendering-label">requestAnimationFrame callbacks</div>
+            <AnimatePresence>
+              {rafTasks.map(task => (
+                <MotionDiv
+                  key={task.id}
+                  className={`raf-task ${selectedTask?.id === task.id ? 'selected' : ''} ${task.status === TASK_STATUS.CANCELLED ? 'cancelled' : ''}`}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -20 }}
+                  transition={{ duration: 0.3 }}
+                  onClick={() => onTaskClick(task)}
+                  onMouseEnter={(e) => onTaskHover(task, e)}
+                  onMouseLeave={onTaskLeave}
+                  style={{ backgroundColor: getTaskColor(task) }}
+                >
+                  <span className="task-id">#{task.id}</span> {task.description}
+                </MotionDiv>
+              ))}
+            </AnimatePresence>
+            {rafTasks.length === 0 && (
+              <div className="rendering-empty">No frame callbacks</div>
+            )}
+          </div>
+
+          <div className="painted-frame">
+            <div className="rendering-label">Last paint</div>
+            <code>{rendering.painted ?? 'Nothing painted yet'}</code>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RenderingPanel;
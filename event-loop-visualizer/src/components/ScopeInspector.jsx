@@ -0,0 +1,122 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+const MotionDiv = motion.div;
+
+const getScopeLabel = (scope, index) => {
+  switch (scope.kind) {
+    case 'global':
+      return 'Global';
+    case 'function':
+      return index === 0 ? `Local: ${scope.name}` : `Closure: ${scope.name}`;
+    case 'catch':
+      return 'Catch';
+    default:
+      return 'Block';
+  }
+};
+
+const getBindingScopeLabel = ({ kind, name, id }) => {
+  const label = { global: 'Global', function: name, catch: 'Catch' }[kind] || 'Block';
+  return `${label} #${id}`;
+};
+
+// Bindings are shared when several queued callbacks close over the same
+// variable in the same scope, like `var i` in a loop
+const countSharedBindings = (tasks) => {
+  const counts = {};
+  tasks.forEach(task => {
+    (task.closure || []).forEach(binding => {
+      const key = `${binding.scope.id}:${binding.name}`;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+  return counts;
+};
+
+// Scope chain of the selected call stack entry, or of the top one, and the
+// variables each queued callback closes over
+const ScopeInspector = ({ callStack, queuedTasks, selectedTask, onTaskClick }) => {
+  const selected = selectedTask
+    && (callStack.find(entry => entry.id === selectedTask.id) || queuedTasks.find(task => task.id === selectedTask.id));
+  const target = selected || callStack[callStack.length - 1] || null;
+  const callbacks = queuedTasks.filter(task => task.closure);
+  const shared = countSharedBindings(callbacks);
+
+  const renderClosure = (task) => (
+    <ul className="scope-bindings">
+      {task.closure.map(binding => {
+        const sharedBy = shared[`${binding.scope.id}:${binding.name}`];
+        return (
+          <li key={binding.name}>
+            <span className="binding-name">{binding.name}</span>
+            <span className="binding-value">{binding.value}</span>
+            <span className="binding-scope">{getBindingScopeLabel(binding.scope)}</span>
+            {sharedBy > 1 && <span className="binding-shared">shared by {sharedBy}</span>}
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  return (
+    <div className="scope-inspector">
+      <div className="speed-label">🔍 Scopes</div>
+
+      {!target && (
+        <div className="scope-empty">Select a frame or a queued callback</div>
+      )}
+
+      {target && (
+        <div className="scope-target">
+          <div className="scope-target-title">{target.description}</div>
+          {target.scopes && target.scopes.map((scope, index) => (
+            <div key={scope.id} className={`scope-level scope-${scope.kind}`}>
+              <div className="scope-level-title">
+                {getScopeLabel(scope, index)} <span className="scope-id">#{scope.id}</span>
+              </div>
+              <ul className="scope-bindings">
+                {scope.bindings.map(binding => (
+                  <li key={binding.name}>
+                    <span className="binding-name">{binding.name}</span>
+                    <span className="binding-value">{binding.value}</span>
+                    <span className="binding-kind">{binding.kind}</span>
+                  </li>
+                ))}
+                {scope.bindings.length === 0 && <li className="scope-empty">no variables</li>}
+              </ul>
+            </div>
+          ))}
+          {!target.scopes && target.closure && renderClosure(target)}
+          {!target.scopes && !target.closure && (
+            <div className="scope-empty">No variables captured yet</div>
+          )}
+        </div>
+      )}
+
+      {callbacks.length > 0 && (
+        <div className="scope-callbacks">
+          <div className="scope-level-title">Queued callbacks close over</div>
+          <AnimatePresence>
+            {callbacks.map(task => (
+              <MotionDiv
+                key={task.id}
+                className="scope-callback"
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                transition={{ duration: 0.2 }}
+                onClick={() => onTaskClick(task)}
+              >
+                <div className="scope-callback-title">#{task.id} {task.description}</div>
+                {renderClosure(task)}
+              </MotionDiv>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScopeInspector;
@@ -0,0 +1,201 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Editor, { loader } from '@monaco-editor/react';
+import 'monaco-editor/esm/vs/editor/editor.all';
+import 'monaco-editor/esm/vs/basic-languages/javascript/javascript.contribution';
+import * as monaco from 'monaco-editor/esm/vs/editor/editor.api';
+import EditorWorker from 'monaco-editor/esm/vs/editor/editor.worker?worker';
+
+// Use the bundled Monaco rather than the CDN copy the loader fetches by
+// default, so the editor works offline. Only the editor core and JavaScript
+// highlighting are bundled; problems come from our own markers.
+self.MonacoEnvironment = { getWorker: () => new EditorWorker() };
+loader.config({ monaco });
+
+const EDITOR_OPTIONS = {
+  minimap: { enabled: false },
+  fontSize: 13,
+  lineNumbersMinChars: 3,
+  scrollBeyondLastLine: false,
+  automaticLayout: true,
+  tabSize: 2,
+  renderLineHighlight: 'none',
+  glyphMargin: true,
+};
+
+// Owner of the problem markers on the model
+const MARKER_OWNER = 'event-loop-visualizer';
+
+// Monaco editor for the code being run. Decorations follow the replay: the
+// line the running task came from, lines whose callbacks wait in a queue,
+// the line a pause stopped on and the line of a `diagnostic`
+// ({ lineNumber, message }). `problems` are drawn as squiggles with a gutter
+// marker, and a new `focusTarget` ({ lineNumber, column }) moves the cursor
+// there. With `onToggleBreakpoint`, clicking the glyph margin or a line
+// number toggles a breakpoint.
+const SourceEditor = ({
+  value,
+  onChange,
+  readOnly = false,
+  height = 200,
+  runningTask = null,
+  queuedTasks = [],
+  breakpoints = [],
+  pausedLine = null,
+  diagnostic = null,
+  problems = [],
+  focusTarget = null,
+  onToggleBreakpoint = null,
+}) => {
+  const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const decorationsRef = useRef(null);
+  // Monaco loads asynchronously; decorations wait until it has mounted
+  const [isMounted, setIsMounted] = useState(false);
+  // The mouse listener is added once, so it reads the latest handler here
+  const toggleRef = useRef(onToggleBreakpoint);
+  toggleRef.current = onToggleBreakpoint;
+
+  const handleMount = (editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+    decorationsRef.current = editor.createDecorationsCollection();
+    editor.onMouseDown(({ target }) => {
+      const { GUTTER_GLYPH_MARGIN, GUTTER_LINE_NUMBERS } = monaco.editor.MouseTargetType;
+      if (toggleRef.current && target.position && [GUTTER_GLYPH_MARGIN, GUTTER_LINE_NUMBERS].includes(target.type)) {
+        toggleRef.current(target.position.lineNumber);
+      }
+    });
+    setIsMounted(true);
+  };
+
+  const runningLine = runningTask ? runningTask.lineNumber : null;
+
+  useEffect(() => {
+    if (!isMounted) {
+      return;
+    }
+    const lineCount = editorRef.current.getModel().getLineCount();
+    const range = (line) => new monacoRef.current.Range(line, 1, line, 1);
+    const decorations = [];
+
+    // Queued callbacks, grouped by the line that scheduled them
+    const queuedByLine = new Map();
+    queuedTasks.forEach(task => {
+      if (task.lineNumber && task.lineNumber !== runningLine) {
+        queuedByLine.set(task.lineNumber, [...(queuedByLine.get(task.lineNumber) || []), task.description]);
+      }
+    });
+    queuedByLine.forEach((descriptions, line) => {
+      decorations.push({
+        range: range(line),
+        options: {
+          isWholeLine: true,
+          className: 'source-line-queued',
+          linesDecorationsClassName: 'source-gutter-queued',
+          hoverMessage: { value: `**Waiting in a queue:** ${descriptions.join(', ')}` }
+        }
+      });
+    });
+
+    if (runningLine) {
+      decorations.push({
+        range: range(runningLine),
+        options: {
+          isWholeLine: true,
+          className: 'source-line-running',
+          linesDecorationsClassName: 'source-gutter-running',
+          hoverMessage: { value: `**Running:** ${runningTask.description}` }
+        }
+      });
+    }
+
+    if (pausedLine) {
+      decorations.push({
+        range: range(pausedLine),
+        options: { isWholeLine: true, className: 'source-line-paused' }
+      });
+    }
+
+    if (diagnostic && diagnostic.lineNumber) {
+      decorations.push({
+        range: range(diagnostic.lineNumber),
+        options: {
+          isWholeLine: true,
+          className: 'source-line-diagnostic',
+          hoverMessage: { value: diagnostic.message }
+        }
+      });
+    }
+
+    problems.forEach(problem => {
+      decorations.push({
+        range: range(problem.lineNumber),
+        options: {
+          glyphMarginClassName: 'source-problem',
+          glyphMarginHoverMessage: { value: problem.message }
+        }
+      });
+    });
+
+    breakpoints.forEach(line => {
+      decorations.push({
+        range: range(line),
+        options: {
+          glyphMarginClassName: 'source-breakpoint',
+          glyphMarginHoverMessage: { value: `Remove breakpoint on line ${line}` }
+        }
+      });
+    });
+
+    // Lines can outlive an edit that removed them
+    decorationsRef.current.set(decorations.filter(({ range: { startLineNumber } }) => startLineNumber <= lineCount));
+  }, [isMounted, value, runningLine, runningTask, queuedTasks, breakpoints, pausedLine, diagnostic, problems]);
+
+  // Squiggles under the word a problem points at, or the whole line when
+  // there is no column or no word there
+  useEffect(() => {
+    if (!isMounted) {
+      return;
+    }
+    const model = editorRef.current.getModel();
+    const lineCount = model.getLineCount();
+    const markers = problems.filter(problem => problem.lineNumber <= lineCount).map(problem => {
+      const { lineNumber } = problem;
+      const word = problem.column && model.getWordAtPosition({ lineNumber, column: problem.column });
+      return {
+        severity: monacoRef.current.MarkerSeverity.Error,
+        message: problem.message,
+        startLineNumber: lineNumber,
+        endLineNumber: lineNumber,
+        startColumn: word ? word.startColumn : problem.column || model.getLineFirstNonWhitespaceColumn(lineNumber) || 1,
+        endColumn: word ? word.endColumn : model.getLineMaxColumn(lineNumber)
+      };
+    });
+    monacoRef.current.editor.setModelMarkers(model, MARKER_OWNER, markers);
+  }, [isMounted, value, problems]);
+
+  useEffect(() => {
+    if (!isMounted || !focusTarget) {
+      return;
+    }
+    const position = { lineNumber: focusTarget.lineNumber, column: focusTarget.column || 1 };
+    editorRef.current.revealPositionInCenter(position);
+    editorRef.current.setPosition(position);
+    editorRef.current.focus();
+  }, [isMounted, focusTarget]);
+
+  return (
+    <div className="source-editor" style={{ height }}>
+      <Editor
+        language="javascript"
+        value={value}
+        onChange={(code) => onChange && onChange(code || '')}
+        onMount={handleMount}
+        loading={<div className="source-editor-loading">Loading editor...</div>}
+        options={{ ...EDITOR_OPTIONS, readOnly }}
+      />
+    </div>
+  );
+};
+
+export default SourceEditor;
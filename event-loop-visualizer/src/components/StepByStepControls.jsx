@@ -10,6 +10,7 @@ import {
   TASK_TYPES,
   clearConsoleOutput
 } from '../store/eventLoopSlice';
+import TimelineScrubber from './TimelineScrubber';
 
 const StepByStepControls = () => {
   const dispatch = useDispatch();
@@ -115,6 +116,12 @@ const StepByStepControls = () => {
         </div>
       </div>
 
+      {/* Time Travel */}
+      <div className="time-travel-section mb-3">
+        <h6>Time Travel</h6>
+        <TimelineScrubber />
+      </div>
+
       {/* Speed Control */}
       <div className="speed-control-section mb-3">
         <label className="form-label small">Speed:</label>
@@ -0,0 +1,126 @@
+import React, { useId } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { motion } from 'framer-motion';
+import { executeNextTask, travelToSnapshot } from '../store/eventLoopSlice';
+import { TRACE_EVENTS, formatEventTime } from '../utils/traceEvents';
+
+const MotionDiv = motion.div;
+
+// Events that move a task between the Web APIs, the queues and the call stack
+const QUEUE_MOVES = [TRACE_EVENTS.ENQUEUE, TRACE_EVENTS.TIMER_FIRED, TRACE_EVENTS.TASK_START];
+
+const describeEvent = (event) => {
+  const task = event.task ? event.task.description : '';
+  switch (event.type) {
+    case TRACE_EVENTS.ENQUEUE:
+    case TRACE_EVENTS.TIMER_FIRED:
+      return `${task} → ${event.queue}`;
+    case TRACE_EVENTS.TASK_START:
+      return `${event.queue} → call stack: ${task}`;
+    case TRACE_EVENTS.TASK_END:
+      return 'Task finished';
+    case TRACE_EVENTS.CALL:
+      return `Call ${event.frame.name}(${(event.frame.args || []).join(', ')})`;
+    case TRACE_EVENTS.RETURN:
+      return 'Return';
+    case TRACE_EVENTS.CANCEL:
+      return 'Timer cleared';
+    case TRACE_EVENTS.CONSOLE:
+      return `console.${event.level}: ${event.message}`;
+    case TRACE_EVENTS.CLOCK:
+      return `Clock → ${formatEventTime(event.time)}`;
+    case TRACE_EVENTS.PHASE:
+      return `Phase: ${event.phase}`;
+    case TRACE_EVENTS.RENDER:
+      return `Render: ${event.step}`;
+    case TRACE_EVENTS.CHECKPOINT:
+      return 'Microtask checkpoint';
+    case TRACE_EVENTS.BUDGET:
+      return event.message;
+    case TRACE_EVENTS.STARVATION:
+      return `Microtask starvation: ${event.drained} microtasks in one checkpoint`;
+    case TRACE_EVENTS.DONE:
+      return 'Done';
+    default:
+      return event.type;
+  }
+};
+
+// Rewind and replay a run: every replayed trace event leaves a snapshot of
+// the queues, frames, console and clock, and any of them can be restored
+const TimelineScrubber = () => {
+  const dispatch = useDispatch();
+  const ticksId = useId();
+  const { history, currentCodeStep, codeExecutionSteps, isCodeExecuting } = useSelector(state => state.eventLoop);
+  const lastRecorded = history.length - 1;
+  const lastEvent = currentCodeStep > 0 ? codeExecutionSteps[currentCodeStep - 1] : null;
+
+  // Forward restores a recorded step when there is one, otherwise it replays
+  // the next trace event
+  const handleStepForward = () => {
+    if (currentCodeStep < lastRecorded) {
+      dispatch(travelToSnapshot(currentCodeStep + 1));
+    } else {
+      dispatch(executeNextTask());
+    }
+  };
+
+  return (
+    <div className="timeline-scrubber">
+      <label className="speed-label">⏪ Timeline</label>
+
+      <div className="btn-group w-100">
+        <button
+          className="btn btn-sm btn-outline-primary"
+          onClick={() => dispatch(travelToSnapshot(currentCodeStep - 1))}
+          disabled={currentCodeStep === 0 || history.length === 0}
+          title="Restore the previous step"
+        >
+          ⏮️ Step back
+        </button>
+        <button
+          className="btn btn-sm btn-outline-primary"
+          onClick={handleStepForward}
+          disabled={history.length === 0 || (currentCodeStep >= lastRecorded && !isCodeExecuting)}
+          title="Restore or replay the next step"
+        >
+          Step forward ⏭️
+        </button>
+      </div>
+
+      <input
+        type="range"
+        className="form-range timeline-range"
+        min={0}
+        max={Math.max(lastRecorded, 0)}
+        value={Math.min(currentCodeStep, Math.max(lastRecorded, 0))}
+        onChange={(e) => dispatch(travelToSnapshot(Number(e.target.value)))}
+        disabled={history.length < 2}
+        list={ticksId}
+      />
+      <datalist id={ticksId}>
+        {codeExecutionSteps.slice(0, history.length - 1).map((event, index) => (
+          QUEUE_MOVES.includes(event.type) && <option key={index} value={index + 1} />
+        ))}
+      </datalist>
+
+      <div className="timeline-info">
+        <span>Step {currentCodeStep} / {codeExecutionSteps.length}</span>
+        {lastEvent && <span>{formatEventTime(lastEvent.time)}</span>}
+      </div>
+      {lastEvent && (
+        <MotionDiv
+          key={currentCodeStep}
+          className={`timeline-event ${QUEUE_MOVES.includes(lastEvent.type) ? 'queue-move' : ''}`}
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.2 }}
+        >
+          {describeEvent(lastEvent)}
+        </MotionDiv>
+      )}
+    </div>
+  );
+};
+
+export default TimelineScrubber;
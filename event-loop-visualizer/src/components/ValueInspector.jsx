@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { quoteString } from '../utils/consoleFormat';
+
+// Expandable tree for a value snapshot (see snapshotValue). Objects start
+// folded to their type label and one-line preview; expanding lists their
+// entries, each its own tree. Strings print bare at the top level, the way
+// consoles print logged strings.
+const ValueInspector = ({ node, name = null, mapKey = false, topLevel = false }) => {
+  const [expanded, setExpanded] = useState(false);
+  const expandable = Boolean(node.entries && (node.entries.length > 0 || node.truncated));
+
+  const renderName = () => name !== null && (
+    <span className="value-name">{name}{mapKey ? ' => ' : ': '}</span>
+  );
+
+  if (!expandable) {
+    const text = node.type === 'string' ? (topLevel ? node.value : quoteString(node.value)) : node.preview;
+    return (
+      <span className="value-leaf">
+        {renderName()}
+        {node.ref && <span className="value-ref">{`<ref *${node.ref}> `}</span>}
+        <span className={`value-${node.type}`}>{text}</span>
+      </span>
+    );
+  }
+
+  // Previews like "Map(2) { ... }" start with the label, which is shown on
+  // its own; an error's "Error: message" stands in for its label
+  const labelPrefix = `${node.label} `;
+  const preview = node.preview.startsWith(labelPrefix) ? node.preview.slice(labelPrefix.length) : node.preview;
+  const showLabel = preview !== node.preview || !node.preview.startsWith(node.label);
+
+  return (
+    <span className="value-tree">
+      <button className="value-toggle" onClick={() => setExpanded(!expanded)}>
+        <span className="value-arrow">{expanded ? '▼' : '▶'}</span>
+        {renderName()}
+        {node.ref && <span className="value-ref">{`<ref *${node.ref}> `}</span>}
+        {showLabel && <span className="value-label">{node.label}</span>}
+        {(!expanded || !showLabel) && <span className="value-preview">{showLabel ? ' ' : ''}{preview}</span>}
+      </button>
+      {expanded && (
+        <span className="value-entries">
+          {node.entries.map((entry, index) => (
+            <span key={index} className="value-entry">
+              <ValueInspector node={entry.value} name={entry.name} mapKey={entry.mapKey} />
+            </span>
+          ))}
+          {node.truncated > 0 && (
+            <span className="value-entry value-truncated">… {node.truncated} more not captured</span>
+          )}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default ValueInspector;
@@ -2,7 +2,7 @@ import React, { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { TASK_STATUS, ANIMATION_STATES } from '../store/eventLoopSlice';
 
-const WebAPIs = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask }) => {
+const WebAPIs = ({ tasks, title = 'Web APIs', description = 'Browser APIs for async operations', onTaskClick, onTaskHover, onTaskLeave, selectedTask }) => {
   const [executingTasks, setExecutingTasks] = useState(new Set());
 
   useEffect(() => {
@@ -23,6 +23,8 @@ const WebAPIs = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask })
         return '#6c757d';
       case TASK_STATUS.ERROR:
         return '#dc3545';
+      case TASK_STATUS.CANCELLED:
+        return '#adb5bd';
       case TASK_STATUS.WAITING:
         return '#ffc107';
       default:
@@ -112,9 +114,9 @@ const WebAPIs = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask })
   return (
     <div className="web-apis-container">
       <div className="component-header">
-        <h3>Web APIs</h3>
+        <h3>{title}</h3>
         <div className="component-description">
-          Browser APIs for async operations
+          {description}
         </div>
       </div>
       
@@ -123,7 +125,7 @@ const WebAPIs = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask })
           {tasks.map((task, index) => (
             <motion.div
               key={task.id}
-              className={`task-item ${selectedTask?.id === task.id ? 'selected' : ''}`}
+              className={`task-item ${selectedTask?.id === task.id ? 'selected' : ''} ${task.status === TASK_STATUS.CANCELLED ? 'cancelled' : ''}`}
               variants={getAnimationVariants(task, index)}
               initial="initial"
               animate={task.status === TASK_STATUS.WAITING ? "waiting" : 
@@ -207,6 +209,9 @@ const WebAPIs = ({ tasks, onTaskClick, onTaskHover, onTaskLeave, selectedTask })
               {task.status === TASK_STATUS.ERROR && (
                 <div className="error-indicator">❌</div>
               )}
+              {task.status === TASK_STATUS.CANCELLED && (
+                <div className="cancelled-indicator">🚫</div>
+              )}
             </motion.div>
           ))}
         </AnimatePresence>
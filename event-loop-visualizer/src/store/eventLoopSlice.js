@@ -1,4 +1,7 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk, current, isDraft, original } from '@reduxjs/toolkit';
+import { TRACE_EVENTS, formatEventTime } from '../utils/traceEvents';
+import { DEFAULT_BUDGETS } from '../utils/executionBudgets';
+import { API_POLICIES, DEFAULT_API_POLICY } from '../utils/apiPolicy';
 
 // Helper functions for console messages
 const getTaskStartMessage = (task) => {
@@ -87,12 +90,26 @@ export const TASK_TYPES = {
   PROMISE: 'promise',
   ASYNC_AWAIT: 'asyncAwait',
   SET_INTERVAL: 'setInterval',
+  QUEUE_MICROTASK: 'queueMicrotask',
+  MUTATION_OBSERVER: 'mutationObserver',
+  NEXT_TICK: 'nextTick',
+  ANIMATION_FRAME: 'animationFrame',
+  SET_IMMEDIATE: 'setImmediate',
   FETCH: 'fetch',
   CONSOLE_LOG: 'consoleLog',
   VARIABLE_ASSIGNMENT: 'variableAssignment',
   FUNCTION_CALL: 'functionCall',
 };
 
+// API that put a microtask in the queue, shown on each queued microtask
+export const MICROTASK_SOURCES = {
+  [TASK_TYPES.PROMISE]: 'Promise',
+  [TASK_TYPES.ASYNC_AWAIT]: 'await',
+  [TASK_TYPES.QUEUE_MICROTASK]: 'queueMicrotask',
+  [TASK_TYPES.MUTATION_OBSERVER]: 'MutationObserver',
+  [TASK_TYPES.FETCH]: 'fetch',
+};
+
 // Task status
 export const TASK_STATUS = {
   PENDING: 'pending',
@@ -100,6 +117,7 @@ export const TASK_STATUS = {
   COMPLETED: 'completed',
   ERROR: 'error',
   WAITING: 'waiting',
+  CANCELLED: 'cancelled',
 };
 
 // Animation states
@@ -121,6 +139,177 @@ export const EXECUTION_STEPS = {
   COMPLETING: 'completing',
 };
 
+// Event loop phases
+export const LOOP_PHASES = {
+  IDLE: 'idle',
+  SCRIPT: 'script',
+  MICROTASK_CHECKPOINT: 'microtaskCheckpoint',
+  MACROTASK: 'macrotask',
+  RENDER: 'render',
+  // Node.js (libuv) phases; each drains the queue named `${phase}Queue`
+  TIMERS: 'timers',
+  PENDING: 'pending',
+  POLL: 'poll',
+  CHECK: 'check',
+  CLOSE: 'close',
+};
+
+// libuv phases in the order one loop iteration visits them
+export const NODE_PHASES = [
+  LOOP_PHASES.TIMERS,
+  LOOP_PHASES.PENDING,
+  LOOP_PHASES.POLL,
+  LOOP_PHASES.CHECK,
+  LOOP_PHASES.CLOSE,
+];
+
+// Loop phase entered when a task starts from each queue
+const PHASE_BY_QUEUE = {
+  callStack: LOOP_PHASES.SCRIPT,
+  microtaskQueue: LOOP_PHASES.MICROTASK_CHECKPOINT,
+  nextTickQueue: LOOP_PHASES.MICROTASK_CHECKPOINT,
+  callbackQueue: LOOP_PHASES.MACROTASK,
+  rafQueue: LOOP_PHASES.RENDER,
+  ...Object.fromEntries(NODE_PHASES.map(phase => [`${phase}Queue`, phase])),
+};
+
+// Event loop being modelled
+export const RUNTIMES = {
+  BROWSER: 'browser',
+  NODE: 'node',
+};
+
+// Queues a cleared timer, immediate or animation frame can still be waiting in
+const CANCELLABLE_QUEUES = ['webAPIs', 'callbackQueue', 'timersQueue', 'checkQueue', 'rafQueue'];
+
+const CANCELLED_KINDS = {
+  [TASK_TYPES.SET_IMMEDIATE]: 'Immediate',
+  [TASK_TYPES.ANIMATION_FRAME]: 'Animation frame',
+  [TASK_TYPES.FETCH]: 'Request',
+};
+
+// Rendering step announced in the console, keyed by trace step
+const RENDER_STEP_MESSAGES = {
+  style: '🎨 Recalculate style',
+  layout: '📐 Layout',
+};
+
+// The call stack is LIFO: popping an entry also pops every frame still
+// above it, e.g. when an exception unwinds a task
+const unwindCallStack = (state, id) => {
+  const index = state.callStack.findIndex(entry => entry.id === id);
+  if (index !== -1) {
+    state.callStack.splice(index);
+  }
+};
+
+// Every queue a task can wait in
+const PENDING_QUEUES = ['webAPIs', 'callbackQueue', 'microtaskQueue', 'nextTickQueue', 'rafQueue', ...NODE_PHASES.map(phase => `${phase}Queue`)];
+
+// Queues drained by a microtask checkpoint
+const MICROTASK_QUEUES = ['microtaskQueue', 'nextTickQueue'];
+
+// Queues whose tasks can hold a callback closure
+const CLOSURE_QUEUES = PENDING_QUEUES;
+
+// Everything a replayed trace event can change. A snapshot of these fields is
+// recorded after each event, so a run can be rewound to any earlier step.
+// Console lines stay out of it: a snapshot only holds where the console ended.
+const SNAPSHOT_FIELDS = [
+  'callStack', 'webAPIs', 'callbackQueue', 'microtaskQueue', 'suspendedFrames',
+  'nextTickQueue', ...NODE_PHASES.map(phase => `${phase}Queue`), 'rafQueue', 'rendering',
+  'currentExecutingTask', 'loopPhase', 'virtualTime', 'currentCodeLine',
+  'nextConsoleLineId', 'consoleDroppedCount', 'executionErrors', 'problems', 'executionEndTime',
+  'currentCodeStep', 'codeExecutionProgress', 'codeExecutionState', 'isCodeExecuting',
+  'budgetExceeded', 'stackOverflow', 'starvation',
+];
+
+// Snapshots share unchanged queues with the state they were taken from
+const takeSnapshot = (state) => Object.fromEntries(SNAPSHOT_FIELDS.map(field => {
+  const value = state[field];
+  return [field, isDraft(value) ? current(value) : value];
+}));
+
+// Snapshot k is the state after k trace events, so stepping forward from a
+// rewound step replays the same event and drops the snapshots after it, and
+// the console it printed becomes the newest one
+const recordSnapshot = (state) => {
+  state.history.splice(state.currentCodeStep);
+  state.history.push({ ...takeSnapshot(state), consoleLength: state.consoleOutput.length });
+  state.latestConsole = null;
+};
+
+// Console lines for a rewound step, sliced out of `latest`, the console of the
+// newest step: every line added before the step. Lines the history limit has
+// dropped since count as dropped.
+const restoreConsole = (state, latest, consoleLength) => {
+  const isBefore = (line) => line.id < state.nextConsoleLineId;
+  state.latestConsole = latest;
+  state.consoleOutput = latest.consoleOutput.filter(isBefore);
+  state.consoleDroppedCount += consoleLength - state.consoleOutput.length;
+  state.capturedConsoleLogs = latest.capturedConsoleLogs.filter(isBefore);
+};
+
+// How many console lines the main console keeps; null keeps them all
+export const CONSOLE_HISTORY_LIMITS = [200, 1000, 5000, null];
+export const DEFAULT_CONSOLE_HISTORY_LIMIT = 1000;
+
+// Console lines get an id when they are added, so the panes can keep a line's
+// row (and its open inspectors) while the history is trimmed or filtered
+const addConsoleLine = (state, line) => {
+  const entry = { id: state.nextConsoleLineId++, ...line };
+  state.consoleOutput.push(entry);
+  return entry;
+};
+
+// Drop the oldest console lines past the history limit, counting them
+const trimConsoleOutput = (state) => {
+  const limit = state.consoleHistoryLimit;
+  if (limit !== null && state.consoleOutput.length > limit) {
+    state.consoleDroppedCount += state.consoleOutput.length - limit;
+    state.consoleOutput = state.consoleOutput.slice(-limit);
+  }
+};
+
+const PAUSE_MESSAGES = {
+  debugger: (line) => `⏸️ Paused on debugger statement (line ${line})`,
+  breakpoint: (line) => `⏸️ Paused on breakpoint (line ${line})`,
+  starvation: (line) => `⏸️ Paused: the microtask chain from line ${line} is starving the event loop`,
+};
+
+// A `debugger;` statement always pauses. A breakpoint pauses on the lines
+// whose statements ran before a simulated event; captured runs only know the
+// line each event came from.
+const findBreakpointHit = (event, breakpoints, captured) => {
+  if (event.debuggerLine) {
+    return { lineNumber: event.debuggerLine, reason: 'debugger' };
+  }
+  const lines = captured ? [event.lineNumber] : event.lines || [];
+  const lineNumber = lines.find(line => breakpoints.includes(line));
+  return lineNumber ? { lineNumber, reason: 'breakpoint' } : null;
+};
+
+// Whether replay from step `from` is inside a microtask checkpoint that goes
+// on to starve: the next starvation report comes before the next checkpoint
+const isInStarvingCheckpoint = (steps, from) => {
+  for (let index = from; index < steps.length; index++) {
+    if (steps[index].type === TRACE_EVENTS.STARVATION) {
+      return true;
+    }
+    if (steps[index].type === TRACE_EVENTS.CHECKPOINT) {
+      return false;
+    }
+  }
+  return false;
+};
+
+// How custom code is run: on the virtual-clock simulator, or on the real
+// engine with its async APIs hooked to capture what actually happened
+export const EXECUTION_MODES = {
+  SIMULATED: 'simulated',
+  CAPTURED: 'captured',
+};
+
 // Code execution steps
 export const CODE_EXECUTION_STEPS = {
   PARSING: 'parsing',
@@ -135,6 +324,15 @@ const initialState = {
   webAPIs: [],
   callbackQueue: [],
   microtaskQueue: [],
+  suspendedFrames: [], // async functions parked at an await
+  
+  // Node.js runtime queues: process.nextTick and one queue per libuv phase
+  nextTickQueue: [],
+  ...Object.fromEntries(NODE_PHASES.map(phase => [`${phase}Queue`, []])),
+  
+  // Browser rendering: rAF callbacks and the frame being rendered
+  rafQueue: [],
+  rendering: { frame: 0, step: null, skipped: 0, painted: null },
   
   // Animation and control
   isRunning: false,
@@ -144,6 +342,8 @@ const initialState = {
   // Task management
   nextTaskId: 1,
   currentExecutingTask: null,
+  loopPhase: LOOP_PHASES.IDLE,
+  virtualTime: 0,
   
   // UI state
   selectedTask: null,
@@ -189,7 +389,13 @@ console.log('Main thread end');`,
   currentCodeLine: 0,
   currentCodeSample: 'synchronous',
   executionStep: EXECUTION_STEPS.IDLE,
+  // Lines of program output carry `source: 'user'`; the rest narrates the engine
   consoleOutput: [],
+  consoleHistoryLimit: DEFAULT_CONSOLE_HISTORY_LIMIT,
+  consoleDroppedCount: 0,
+  nextConsoleLineId: 1,
+  // The newest step's console lines, kept while time travel shows an earlier one
+  latestConsole: null,
   
   // Animation queue
   animationQueue: [],
@@ -198,8 +404,20 @@ console.log('Main thread end');`,
   // Custom code execution
   customCode: '',
   isExecutingCustomCode: false,
+  executionMode: EXECUTION_MODES.SIMULATED,
+  runtime: RUNTIMES.BROWSER,
   executionResults: [],
+  
+  // Responses the mock fetch serves, matched by URL or path
+  fetchFixtures: [
+    { id: 1, url: '/api/user', status: 200, body: '{"id": 1, "name": "Ada"}', latency: 120 },
+    { id: 2, url: '/api/posts', status: 200, body: '[{"id": 1, "title": "Hello"}]', latency: 300 },
+    { id: 3, url: '/api/missing', status: 404, body: 'Not Found', latency: 50 },
+  ],
   executionErrors: [],
+  // Parse errors and uncaught exceptions with where they happened:
+  // { source: 'parse' | 'runtime', message, lineNumber, column }
+  problems: [],
   capturedConsoleLogs: [],
   executionStartTime: null,
   executionEndTime: null,
@@ -209,42 +427,108 @@ console.log('Main thread end');`,
   currentCodeStep: 0,
   codeExecutionState: CODE_EXECUTION_STEPS.PARSING,
   codeExecutionProgress: 0,
-  codeExecutionVariables: {},
   codeExecutionFunctions: [],
   isCodeExecuting: false,
   codeExecutionSpeed: 1000,
   codeExecutionPaused: false,
+  
+  // Trace events received from the execution worker during the current run
+  streamedEventCount: 0,
+  
+  // Time travel: one snapshot per replayed trace event
+  history: [],
+  
+  // Breakpoints: editor lines, and the trace step the replay is paused before
+  breakpoints: [],
+  breakpointHit: null,
+  
+  // Limits sent with each run; the budget the replay last saw run out, and
+  // the call depth overflow shown on the call stack until its task ends
+  budgets: { ...DEFAULT_BUDGETS },
+  // Preset deciding which globals user code may reach
+  apiPolicy: DEFAULT_API_POLICY,
+  budgetExceeded: null,
+  stackOverflow: null,
+  
+  // A microtask checkpoint that ran past the starvation threshold, until the
+  // loop gets to a task or a rendering step again
+  starvation: null,
 };
 
-// Async thunk for parsing and executing custom code
+// Async thunk for running code. Every entry point goes through here: the
+// code is parsed and simulated on the virtual clock, and the resulting trace
+// is loaded for replay, so the queues, the console and the step state all
+// describe the same run.
 export const executeCustomCode = createAsyncThunk(
   'eventLoop/executeCustomCode',
-  async (code, { getState, dispatch }) => {
-    const state = getState();
+  async (code, { getState, dispatch, rejectWithValue }) => {
+    const { executionMode, runtime, fetchFixtures, budgets, apiPolicy } = getState().eventLoop;
     
     // Import the code executor
     const codeExecutor = (await import('../utils/codeExecutor')).default;
     
-    // Parse code into steps
-    const steps = codeExecutor.parseCodeToSteps(code);
-    
     // Clear previous execution state
-    dispatch(clearCodeExecutionState());
+    dispatch(clearAll());
+    dispatch(clearConsoleOutput());
+    dispatch(setCustomCode(code));
+    dispatch(setExecutingCustomCode(true));
     
-    // Set execution steps
-    dispatch(setCodeExecutionSteps(steps));
+    if (executionMode === EXECUTION_MODES.CAPTURED) {
+      dispatch(addConsoleOutput('🎯 Capturing real execution...'));
+    }
+    
+    // The code runs in the execution worker, which streams its trace back
+    let simulation;
+    try {
+      simulation = await codeExecutor.run(code, {
+        mode: executionMode,
+        runtime,
+        fetchFixtures,
+        budgets,
+        apiPolicy,
+        onProgress: (count) => dispatch(setStreamedEventCount(count)),
+      });
+    } catch (error) {
+      return rejectWithValue({ message: error.message, lineNumber: error.lineNumber, column: error.column });
+    }
+    
+    dispatch(setCodeExecutionSteps(simulation.trace));
     dispatch(setCodeExecutionState(CODE_EXECUTION_STEPS.EXECUTING));
+    dispatch(setExecutionStartTime(Date.now()));
+    dispatch(addConsoleOutput('🚀 Starting code execution...'));
     
-    return { steps, code };
+    return {
+      code,
+      totalSteps: simulation.trace.length,
+      duration: simulation.duration,
+      result: simulation.result,
+      resultType: simulation.resultType,
+    };
+  }
+);
+
+// Kill code still running in the execution worker. What it traced so far
+// is replayed, ending with the reason it stopped.
+export const terminateExecution = createAsyncThunk(
+  'eventLoop/terminateExecution',
+  async () => {
+    const codeExecutor = (await import('../utils/codeExecutor')).default;
+    codeExecutor.terminate();
   }
 );
 
-// Async thunk for executing next code step
+// Async thunk for replaying the next simulator trace event
 export const executeNextCodeStep = createAsyncThunk(
   'eventLoop/executeNextCodeStep',
   async (_, { getState, dispatch }) => {
-    const state = getState();
-    const { codeExecutionSteps, currentCodeStep, isCodeExecuting } = state.eventLoop;
+    const {
+      codeExecutionSteps,
+      currentCodeStep,
+      isCodeExecuting,
+      breakpoints,
+      breakpointHit,
+      executionMode,
+    } = getState().eventLoop;
     
     if (!isCodeExecuting || currentCodeStep >= codeExecutionSteps.length) {
       return null;
@@ -252,92 +536,26 @@ export const executeNextCodeStep = createAsyncThunk(
     
     const step = codeExecutionSteps[currentCodeStep];
     
-    // Execute the step based on its type
-    switch (step.queue) {
-      case 'callStack':
-        dispatch(addToCallStack({
-          id: Date.now() + Math.random(),
-          type: getTaskTypeFromStep(step),
-          description: step.description,
-          delay: step.delay || 0,
-          status: TASK_STATUS.PENDING,
-          timestamp: Date.now(),
-          animationState: ANIMATION_STATES.MOVING,
-          codeSample: 'custom',
-          executionSteps: [step],
-          currentStep: 0,
-        }));
-        break;
-        
-      case 'webAPIs':
-        dispatch(addToWebAPIs({
-          id: Date.now() + Math.random(),
-          type: getTaskTypeFromStep(step),
-          description: step.description,
-          delay: step.delay || 0,
-          status: TASK_STATUS.WAITING,
-          timestamp: Date.now(),
-          animationState: ANIMATION_STATES.MOVING,
-          codeSample: 'custom',
-          executionSteps: [step],
-          currentStep: 0,
-        }));
-        break;
-        
-      case 'microtaskQueue':
-        dispatch(addToMicrotaskQueue({
-          id: Date.now() + Math.random(),
-          type: getTaskTypeFromStep(step),
-          description: step.description,
-          delay: step.delay || 0,
-          status: TASK_STATUS.PENDING,
-          timestamp: Date.now(),
-          animationState: ANIMATION_STATES.MOVING,
-          codeSample: 'custom',
-          executionSteps: [step],
-          currentStep: 0,
-        }));
-        break;
+    // Starvation pauses after its event, so the chain is highlighted while paused
+    if (step.type === TRACE_EVENTS.STARVATION) {
+      dispatch(applyTraceEvent(step));
+      dispatch(pauseAtBreakpoint({ lineNumber: step.lineNumber, reason: 'starvation', step: currentCodeStep }));
+      return step;
     }
     
-    // Add console output if present
-    if (step.output) {
-      dispatch(addConsoleOutput(step.output));
+    // Pause before the event once; continuing from the pause applies it
+    const hit = findBreakpointHit(step, breakpoints, executionMode === EXECUTION_MODES.CAPTURED);
+    if (hit && (!breakpointHit || breakpointHit.step !== currentCodeStep)) {
+      dispatch(pauseAtBreakpoint({ ...hit, step: currentCodeStep }));
+      return null;
     }
     
-    // Update variables
-    if (Object.keys(step.variables).length > 0) {
-      dispatch(updateCodeExecutionVariables(step.variables));
-    }
+    dispatch(applyTraceEvent(step));
     
     return step;
   }
 );
 
-// Helper function to get task type from execution step
-const getTaskTypeFromStep = (step) => {
-  switch (step.action) {
-    case 'console':
-      return TASK_TYPES.CONSOLE_LOG;
-    case 'setTimeout':
-      return TASK_TYPES.SET_TIMEOUT;
-    case 'promise':
-      return TASK_TYPES.PROMISE;
-    case 'fetch':
-      return TASK_TYPES.FETCH;
-    case 'await':
-      return TASK_TYPES.ASYNC_AWAIT;
-    case 'variableAssignment':
-    case 'variableDeclaration':
-      return TASK_TYPES.VARIABLE_ASSIGNMENT;
-    case 'functionCall':
-    case 'functionDeclaration':
-      return TASK_TYPES.FUNCTION_CALL;
-    default:
-      return TASK_TYPES.SYNCHRONOUS;
-  }
-};
-
 // Async thunk for adding tasks with dynamic workflow
 export const addTask = createAsyncThunk(
   'eventLoop/addTask',
@@ -362,33 +580,87 @@ export const addTask = createAsyncThunk(
   }
 );
 
-// Async thunk for executing tasks with step-by-step workflow
+// Async thunk for executing tasks with step-by-step workflow.
+// Follows the browser processing model: the synchronous script runs to
+// completion, then a microtask checkpoint drains the microtask queue
+// (including microtasks queued while draining), then exactly one macrotask
+// runs before the next checkpoint.
 export const executeNextTask = createAsyncThunk(
   'eventLoop/executeNextTask',
   async (_, { getState, dispatch }) => {
-    const state = getState();
+    const {
+      callStack,
+      webAPIs,
+      microtaskQueue,
+      callbackQueue,
+      currentExecutingTask,
+      loopPhase,
+      isCodeExecuting,
+    } = getState().eventLoop;
+    
+    // Simulated code already ran in this order: replay its trace one event per
+    // tick. A checkpoint that goes on to starve only repeats the same few
+    // microtasks, so it is replayed in one tick up to the starvation report;
+    // breakpoints still stop it.
+    if (isCodeExecuting) {
+      let step = await dispatch(executeNextCodeStep()).unwrap();
+      while (step && step.type !== TRACE_EVENTS.STARVATION) {
+        const { codeExecutionSteps, currentCodeStep, isPaused } = getState().eventLoop;
+        if (isPaused || !isInStarvingCheckpoint(codeExecutionSteps, currentCodeStep)) {
+          break;
+        }
+        step = await dispatch(executeNextCodeStep()).unwrap();
+      }
+      return step ? { task: step.task || null, type: 'trace' } : null;
+    }
+    
+    // Run-to-completion: finish the executing task before anything else starts
+    if (currentExecutingTask) {
+      dispatch(completeTaskExecution(currentExecutingTask.id));
+      return { task: currentExecutingTask, type: 'complete' };
+    }
+    
+    // Synchronous code on the call stack always finishes first, top frame first
+    if (callStack.length > 0) {
+      const task = callStack[callStack.length - 1];
+      dispatch(setLoopPhase(LOOP_PHASES.SCRIPT));
+      dispatch(executeSynchronousTaskWithSteps(task));
+      return { task, type: 'synchronous' };
+    }
+    
+    // The script or a macrotask just finished: enter a microtask checkpoint
+    if (loopPhase === LOOP_PHASES.SCRIPT || loopPhase === LOOP_PHASES.MACROTASK) {
+      dispatch(setLoopPhase(LOOP_PHASES.MICROTASK_CHECKPOINT));
+      dispatch(addConsoleOutput(`🔁 Microtask checkpoint: ${microtaskQueue.length} microtask(s) queued`));
+      return { task: null, type: 'checkpoint' };
+    }
     
-    // Check microtask queue first (higher priority)
-    if (state.eventLoop.microtaskQueue.length > 0) {
-      const task = state.eventLoop.microtaskQueue[0];
+    // Drain the microtask queue completely before any macrotask
+    if (microtaskQueue.length > 0) {
+      const task = microtaskQueue[0];
+      dispatch(setLoopPhase(LOOP_PHASES.MICROTASK_CHECKPOINT));
       dispatch(executeMicrotaskWithSteps(task));
       return { task, type: 'microtask' };
     }
     
-    // Then check callback queue
-    if (state.eventLoop.callbackQueue.length > 0) {
-      const task = state.eventLoop.callbackQueue[0];
+    // Checkpoint is over: run a single macrotask
+    if (callbackQueue.length > 0) {
+      const task = callbackQueue[0];
+      dispatch(setLoopPhase(LOOP_PHASES.MACROTASK));
       dispatch(executeCallbackWithSteps(task));
       return { task, type: 'callback' };
     }
     
-    // Finally check call stack
-    if (state.eventLoop.callStack.length > 0) {
-      const task = state.eventLoop.callStack[0];
-      dispatch(executeSynchronousTaskWithSteps(task));
-      return { task, type: 'synchronous' };
+    // Nothing left to run: the earliest Web API timer fires
+    if (webAPIs.length > 0) {
+      const task = webAPIs.reduce((earliest, t) => ((t.delay || 0) < (earliest.delay || 0) ? t : earliest));
+      dispatch(moveFromWebAPIToCallback(task.id));
+      return { task, type: 'timer' };
     }
     
+    if (loopPhase !== LOOP_PHASES.IDLE) {
+      dispatch(setLoopPhase(LOOP_PHASES.IDLE));
+    }
     return null;
   }
 );
@@ -460,6 +732,15 @@ const eventLoopSlice = createSlice({
       state.callbackQueue.push(task);
     },
     
+    // Queues without a reducer of their own: process.nextTick, the libuv
+    // phases and animation frame callbacks
+    addToNamedQueue: (state, action) => {
+      const { queue, ...task } = action.payload;
+      task.status = TASK_STATUS.PENDING;
+      task.animationState = ANIMATION_STATES.MOVING;
+      state[queue].push(task);
+    },
+    
     addToMicrotaskQueue: (state, action) => {
       const task = action.payload;
       task.status = TASK_STATUS.PENDING;
@@ -470,34 +751,39 @@ const eventLoopSlice = createSlice({
     
     // Enhanced task execution with console output
     executeSynchronousTaskWithSteps: (state, action) => {
-      const task = action.payload;
-      task.status = TASK_STATUS.EXECUTING;
-      task.animationState = ANIMATION_STATES.EXECUTING;
+      // The payload is a frozen task read from state, so copy before updating
+      const task = {
+        ...action.payload,
+        status: TASK_STATUS.EXECUTING,
+        animationState: ANIMATION_STATES.EXECUTING,
+      };
       state.currentExecutingTask = task;
       state.executionStep = EXECUTION_STEPS.ENTERING_CALL_STACK;
       
       // Add console output for task start
       const startMessage = getTaskStartMessage(task);
-      state.consoleOutput.push({
+      addConsoleLine(state, {
         message: startMessage,
         timestamp: Date.now(),
         type: 'info'
       });
       
-      // Remove from call stack
-      state.callStack = state.callStack.filter(t => t.id !== task.id);
+      // Pop from call stack
+      unwindCallStack(state, task.id);
     },
     
     executeCallbackWithSteps: (state, action) => {
-      const task = action.payload;
-      task.status = TASK_STATUS.EXECUTING;
-      task.animationState = ANIMATION_STATES.EXECUTING;
+      const task = {
+        ...action.payload,
+        status: TASK_STATUS.EXECUTING,
+        animationState: ANIMATION_STATES.EXECUTING,
+      };
       state.currentExecutingTask = task;
       state.executionStep = EXECUTION_STEPS.EXECUTING_CODE;
       
       // Add console output for callback execution
       const startMessage = getTaskStartMessage(task);
-      state.consoleOutput.push({
+      addConsoleLine(state, {
         message: startMessage,
         timestamp: Date.now(),
         type: 'info'
@@ -508,15 +794,17 @@ const eventLoopSlice = createSlice({
     },
     
     executeMicrotaskWithSteps: (state, action) => {
-      const task = action.payload;
-      task.status = TASK_STATUS.EXECUTING;
-      task.animationState = ANIMATION_STATES.EXECUTING;
+      const task = {
+        ...action.payload,
+        status: TASK_STATUS.EXECUTING,
+        animationState: ANIMATION_STATES.EXECUTING,
+      };
       state.currentExecutingTask = task;
       state.executionStep = EXECUTION_STEPS.EXECUTING_CODE;
       
       // Add console output for microtask execution
       const startMessage = getTaskStartMessage(task);
-      state.consoleOutput.push({
+      addConsoleLine(state, {
         message: startMessage,
         timestamp: Date.now(),
         type: 'info'
@@ -526,6 +814,286 @@ const eventLoopSlice = createSlice({
       state.microtaskQueue = state.microtaskQueue.filter(t => t.id !== task.id);
     },
     
+    // Apply one simulator trace event to the queues, console and loop phase
+    applyTraceEvent: (state, action) => {
+      const event = action.payload;
+      const now = Date.now();
+      state.virtualTime = event.time;
+      
+      // Code that logs or schedules work refreshes the scopes of the frame running it
+      if (event.scopes && state.callStack.length > 0) {
+        state.callStack[state.callStack.length - 1].scopes = event.scopes;
+      }
+      
+      // Cleared timers stay visible for one step before they are dropped
+      if (event.type !== TRACE_EVENTS.CANCEL) {
+        CANCELLABLE_QUEUES.forEach(queue => {
+          state[queue] = state[queue].filter(t => t.status !== TASK_STATUS.CANCELLED);
+        });
+      }
+      
+      switch (event.type) {
+        case TRACE_EVENTS.ENQUEUE: {
+          const enqueue = {
+            webAPIs: eventLoopSlice.caseReducers.addToWebAPIs,
+            microtaskQueue: eventLoopSlice.caseReducers.addToMicrotaskQueue,
+            callbackQueue: eventLoopSlice.caseReducers.addToCallbackQueue,
+          }[event.queue] || eventLoopSlice.caseReducers.addToNamedQueue;
+          enqueue(state, { payload: { ...event.task, queue: event.queue, timestamp: now, codeSample: 'custom' } });
+          // A starving chain grows by each microtask its members queue
+          if (
+            state.starvation && MICROTASK_QUEUES.includes(event.queue)
+            && state.currentExecutingTask && state.starvation.taskIds.includes(state.currentExecutingTask.id)
+          ) {
+            state.starvation.taskIds.push(event.task.id);
+          }
+          break;
+        }
+        
+        case TRACE_EVENTS.TIMER_FIRED:
+          if (event.queue === 'callbackQueue') {
+            eventLoopSlice.caseReducers.moveFromWebAPIToCallback(state, { payload: event.taskId });
+          } else {
+            const timer = state.webAPIs.find(t => t.id === event.taskId);
+            state.webAPIs = state.webAPIs.filter(t => t.id !== event.taskId);
+            eventLoopSlice.caseReducers.addToNamedQueue(state, { payload: { ...timer, queue: event.queue } });
+          }
+          break;
+        
+        case TRACE_EVENTS.CANCEL: {
+          // A timer can be cleared while waiting or after it fired but before it ran
+          const timer = CANCELLABLE_QUEUES.flatMap(queue => state[queue]).find(t => t.id === event.taskId);
+          if (timer) {
+            timer.status = TASK_STATUS.CANCELLED;
+            timer.animationState = ANIMATION_STATES.IDLE;
+          }
+          const kind = (timer && CANCELLED_KINDS[timer.type]) || 'Timer';
+          addConsoleLine(state, {
+            message: `🚫 ${kind} ${event.taskId} cleared, its callback will not run`,
+            timestamp: now,
+            type: 'info'
+          });
+          break;
+        }
+        
+        case TRACE_EVENTS.TASK_START: {
+          // The task leaves its queue and runs on the call stack
+          if (event.queue !== 'callStack') {
+            state[event.queue] = state[event.queue].filter(t => t.id !== event.task.id);
+          }
+          if (!MICROTASK_QUEUES.includes(event.queue)) {
+            state.starvation = null;
+          }
+          const task = {
+            ...event.task,
+            status: TASK_STATUS.EXECUTING,
+            animationState: ANIMATION_STATES.EXECUTING,
+            timestamp: now,
+            codeSample: 'custom',
+          };
+          state.callStack.push(task);
+          state.currentExecutingTask = task;
+          state.loopPhase = PHASE_BY_QUEUE[event.queue];
+          state.currentCodeLine = task.lineNumber - 1;
+          addConsoleLine(state, {
+            message: getTaskStartMessage(task),
+            timestamp: now,
+            type: 'info'
+          });
+          break;
+        }
+        
+        case TRACE_EVENTS.TASK_END:
+          unwindCallStack(state, event.taskId);
+          state.stackOverflow = null;
+          CLOSURE_QUEUES.forEach(queue => {
+            state[queue].forEach(task => {
+              if (event.closures && event.closures[task.id]) {
+                task.closure = event.closures[task.id];
+              }
+            });
+          });
+          if (state.currentExecutingTask && state.currentExecutingTask.id === event.taskId) {
+            addConsoleLine(state, {
+              message: getTaskCompletionMessage(state.currentExecutingTask),
+              timestamp: now,
+              type: 'success'
+            });
+            state.currentExecutingTask = null;
+          }
+          break;
+        
+        case TRACE_EVENTS.CALL:
+          // Frame ids are separate from task ids, so they get a prefix
+          state.callStack.push({
+            id: `frame-${event.frame.id}`,
+            type: TASK_TYPES.FUNCTION_CALL,
+            description: `${event.frame.name}(${event.frame.args.join(', ')})`,
+            lineNumber: event.frame.lineNumber,
+            scopes: event.frame.scopes,
+            status: TASK_STATUS.EXECUTING,
+            animationState: ANIMATION_STATES.EXECUTING,
+            timestamp: now,
+            codeSample: 'custom',
+            isFrame: true,
+          });
+          break;
+        
+        case TRACE_EVENTS.RETURN:
+          unwindCallStack(state, `frame-${event.frameId}`);
+          break;
+        
+        case TRACE_EVENTS.SUSPEND:
+          state.suspendedFrames.push(event.frame);
+          addConsoleLine(state, {
+            message: `⏸️ ${event.frame.name}() suspended at await (line ${event.frame.lineNumber})`,
+            timestamp: now,
+            type: 'info'
+          });
+          break;
+        
+        case TRACE_EVENTS.RESUME:
+          state.suspendedFrames = state.suspendedFrames.filter(frame => frame.id !== event.frameId);
+          break;
+        
+        case TRACE_EVENTS.PHASE:
+          state.loopPhase = event.phase;
+          state.starvation = null;
+          addConsoleLine(state, {
+            message: `🔃 Entering ${event.phase} phase`,
+            timestamp: now,
+            type: 'info'
+          });
+          break;
+        
+        case TRACE_EVENTS.RENDER: {
+          state.loopPhase = LOOP_PHASES.RENDER;
+          state.starvation = null;
+          state.rendering.step = event.step;
+          let message = RENDER_STEP_MESSAGES[event.step];
+          if (event.step === 'animationFrames') {
+            state.rendering.frame = event.frame;
+            state.rendering.skipped = event.skipped;
+            message = `🎞️ Frame ${event.frame} at ${formatEventTime(event.time)}: ${event.callbacks} animation frame callback(s)`;
+            if (event.skipped > 0) {
+              message += `, ${event.skipped} frame(s) skipped while the main thread was busy`;
+            }
+          } else if (event.step === 'paint') {
+            state.rendering.painted = event.snapshot;
+            message = `🖼️ Paint${event.snapshot !== null ? `: ${event.snapshot || '(empty body)'}` : ''}`;
+          }
+          addConsoleLine(state, { message, timestamp: now, type: 'info' });
+          break;
+        }
+        
+        case TRACE_EVENTS.CHECKPOINT:
+          state.loopPhase = LOOP_PHASES.MICROTASK_CHECKPOINT;
+          addConsoleLine(state, {
+            message: `🔁 Microtask checkpoint: ${event.pending} microtask(s) queued`,
+            timestamp: now,
+            type: 'info'
+          });
+          break;
+        
+        case TRACE_EVENTS.STARVATION:
+          state.currentCodeLine = event.lineNumber - 1;
+          state.starvation = {
+            drained: event.drained,
+            threshold: event.threshold,
+            chain: event.chain,
+            taskIds: event.taskIds,
+            starved: event.starved,
+            lineNumber: event.lineNumber
+          };
+          addConsoleLine(state, {
+            message: `🔁 Microtask starvation: one checkpoint drained ${event.drained} microtasks and they keep queueing more`,
+            timestamp: now,
+            type: 'warn'
+          });
+          break;
+        
+        case TRACE_EVENTS.CONSOLE: {
+          state.currentCodeLine = event.lineNumber - 1;
+          // The method, group nesting and table let the panes style the entry;
+          // values are the logged arguments as they were, for the inspector
+          const { level, method, message, depth, groupPath, groupId, collapsed, table, values } = event;
+          const entry = addConsoleLine(state, {
+            message, timestamp: now, type: level, source: 'user', method, depth, groupPath, groupId, collapsed, table, values
+          });
+          state.capturedConsoleLogs.push({ ...entry });
+          break;
+        }
+        
+        case TRACE_EVENTS.CLOCK:
+          addConsoleLine(state, {
+            message: `⏱️ Clock advanced to ${formatEventTime(event.time)}`,
+            timestamp: now,
+            type: 'info'
+          });
+          break;
+        
+        case TRACE_EVENTS.ERROR:
+          state.currentCodeLine = event.lineNumber - 1;
+          state.executionErrors.push(event.message);
+          // A run stopped from outside is not a problem in the code
+          if (!event.stopped) {
+            state.problems.push({
+              source: 'runtime',
+              message: event.message,
+              lineNumber: event.lineNumber,
+              column: event.column || null
+            });
+          }
+          // An uncaught error is printed by the program's own console
+          addConsoleLine(state, {
+            message: event.stopped ? `🛑 ${event.message}` : `Uncaught ${event.message}`,
+            timestamp: now,
+            type: 'error',
+            source: event.stopped ? 'engine' : 'user'
+          });
+          break;
+        
+        case TRACE_EVENTS.BUDGET:
+          state.currentCodeLine = event.lineNumber - 1;
+          state.budgetExceeded = {
+            budget: event.budget,
+            limit: event.limit,
+            message: event.message,
+            lineNumber: event.lineNumber
+          };
+          if (event.stopped) {
+            // The run ends here, so nothing still queued will run
+            PENDING_QUEUES.forEach(queue => {
+              state[queue] = [];
+            });
+            state.executionErrors.push(event.message);
+            addConsoleLine(state, { message: `🛑 ${event.message}`, timestamp: now, type: 'error' });
+          } else {
+            // The frames stay on the stack until the RangeError unwinds them
+            state.stackOverflow = { limit: event.limit, lineNumber: event.lineNumber };
+            addConsoleLine(state, {
+              message: `💥 Maximum call stack size exceeded at line ${event.lineNumber} (call depth budget: ${event.limit})`,
+              timestamp: now,
+              type: 'warn'
+            });
+          }
+          break;
+        
+        case TRACE_EVENTS.DONE:
+          state.loopPhase = LOOP_PHASES.IDLE;
+          state.isCodeExecuting = false;
+          state.codeExecutionState = CODE_EXECUTION_STEPS.COMPLETED;
+          state.executionEndTime = now;
+          break;
+        
+        default:
+          break;
+      }
+      
+      // Keep only the last lines the history limit allows
+      trimConsoleOutput(state);
+    },
+    
     // Complete task execution
     completeTaskExecution: (state, action) => {
       const taskId = action.payload;
@@ -537,7 +1105,7 @@ const eventLoopSlice = createSlice({
         
         // Add console output for task completion
         const completionMessage = getTaskCompletionMessage(task);
-        state.consoleOutput.push({
+        addConsoleLine(state, {
           message: completionMessage,
           timestamp: Date.now(),
           type: 'success'
@@ -546,7 +1114,7 @@ const eventLoopSlice = createSlice({
         // Add execution result based on task type
         const executionResult = getTaskExecutionResult(task);
         if (executionResult) {
-          state.consoleOutput.push({
+          addConsoleLine(state, {
             message: executionResult,
             timestamp: Date.now(),
             type: 'result'
@@ -556,10 +1124,8 @@ const eventLoopSlice = createSlice({
         state.currentExecutingTask = null;
         state.executionStep = EXECUTION_STEPS.IDLE;
         
-        // Keep only last 20 console outputs
-        if (state.consoleOutput.length > 20) {
-          state.consoleOutput = state.consoleOutput.slice(-20);
-        }
+        // Keep only the last lines the history limit allows
+        trimConsoleOutput(state);
       }
     },
     
@@ -573,7 +1139,7 @@ const eventLoopSlice = createSlice({
         task.animationState = ANIMATION_STATES.IDLE;
         
         // Add error message to console
-        state.consoleOutput.push({
+        addConsoleLine(state, {
           message: `❌ Error in ${task.description}: ${error}`,
           timestamp: Date.now(),
           type: 'error'
@@ -582,10 +1148,8 @@ const eventLoopSlice = createSlice({
         state.currentExecutingTask = null;
         state.executionStep = EXECUTION_STEPS.IDLE;
         
-        // Keep only last 20 console outputs
-        if (state.consoleOutput.length > 20) {
-          state.consoleOutput = state.consoleOutput.slice(-20);
-        }
+        // Keep only the last lines the history limit allows
+        trimConsoleOutput(state);
       }
     },
     
@@ -600,6 +1164,41 @@ const eventLoopSlice = createSlice({
     
     setPaused: (state, action) => {
       state.isPaused = action.payload;
+      if (!action.payload) {
+        state.codeExecutionPaused = false;
+      }
+    },
+    
+    toggleBreakpoint: (state, action) => {
+      const line = action.payload;
+      state.breakpoints = state.breakpoints.includes(line)
+        ? state.breakpoints.filter(breakpoint => breakpoint !== line)
+        : [...state.breakpoints, line].sort((a, b) => a - b);
+    },
+    
+    clearBreakpoints: (state) => {
+      state.breakpoints = [];
+    },
+    
+    // The replay reached a breakpoint or a `debugger;` statement
+    pauseAtBreakpoint: (state, action) => {
+      const { lineNumber, reason } = action.payload;
+      state.breakpointHit = action.payload;
+      state.isPaused = true;
+      state.codeExecutionPaused = true;
+      state.currentCodeLine = lineNumber - 1;
+      addConsoleLine(state, {
+        message: PAUSE_MESSAGES[reason](lineNumber),
+        timestamp: Date.now(),
+        type: 'info'
+      });
+      
+      // Keep only the last lines the history limit allows
+      trimConsoleOutput(state);
+    },
+    
+    setLoopPhase: (state, action) => {
+      state.loopPhase = action.payload;
     },
     
     // UI state
@@ -625,20 +1224,25 @@ const eventLoopSlice = createSlice({
     },
     
     addConsoleOutput: (state, action) => {
-      state.consoleOutput.push({
+      addConsoleLine(state, {
         message: action.payload,
         timestamp: Date.now(),
         type: 'log'
       });
       
-      // Keep only last 20 console outputs
-      if (state.consoleOutput.length > 20) {
-        state.consoleOutput = state.consoleOutput.slice(-20);
-      }
+      // Keep only the last lines the history limit allows
+      trimConsoleOutput(state);
     },
     
     clearConsoleOutput: (state) => {
       state.consoleOutput = [];
+      state.consoleDroppedCount = 0;
+      state.latestConsole = null;
+    },
+    
+    setConsoleHistoryLimit: (state, action) => {
+      state.consoleHistoryLimit = action.payload;
+      trimConsoleOutput(state);
     },
     
     // Clear all queues
@@ -647,7 +1251,16 @@ const eventLoopSlice = createSlice({
       state.webAPIs = [];
       state.callbackQueue = [];
       state.microtaskQueue = [];
+      state.suspendedFrames = [];
+      state.nextTickQueue = [];
+      NODE_PHASES.forEach(phase => {
+        state[`${phase}Queue`] = [];
+      });
+      state.rafQueue = [];
+      state.rendering = initialState.rendering;
       state.currentExecutingTask = null;
+      state.loopPhase = LOOP_PHASES.IDLE;
+      state.virtualTime = 0;
       state.selectedTask = null;
       state.tooltip = null;
       state.executionStep = EXECUTION_STEPS.IDLE;
@@ -657,6 +1270,7 @@ const eventLoopSlice = createSlice({
       state.isExecutingCustomCode = false;
       state.executionResults = [];
       state.executionErrors = [];
+      state.problems = [];
       state.capturedConsoleLogs = [];
       state.executionStartTime = null;
       state.executionEndTime = null;
@@ -665,10 +1279,16 @@ const eventLoopSlice = createSlice({
       state.currentCodeStep = 0;
       state.codeExecutionState = CODE_EXECUTION_STEPS.PARSING;
       state.codeExecutionProgress = 0;
-      state.codeExecutionVariables = {};
       state.codeExecutionFunctions = [];
       state.isCodeExecuting = false;
       state.codeExecutionPaused = false;
+      state.history = [];
+      state.isPaused = false;
+      state.breakpointHit = null;
+      state.streamedEventCount = 0;
+      state.budgetExceeded = null;
+      state.stackOverflow = null;
+      state.starvation = null;
     },
     
     // Move task from Web APIs to callback queue (simulating timeout completion)
@@ -678,6 +1298,7 @@ const eventLoopSlice = createSlice({
       
       if (taskIndex !== -1) {
         const task = state.webAPIs[taskIndex];
+        task.status = TASK_STATUS.PENDING;
         task.animationState = ANIMATION_STATES.MOVING;
         state.webAPIs.splice(taskIndex, 1);
         state.callbackQueue.push(task);
@@ -694,6 +1315,57 @@ const eventLoopSlice = createSlice({
       state.customCode = action.payload;
     },
     
+    setExecutionMode: (state, action) => {
+      state.executionMode = action.payload;
+    },
+    
+    // Captured runs use the browser engine, so Node.js is simulated only.
+    // The runtime's own API preset comes along, unless the policy is strict.
+    setRuntime: (state, action) => {
+      state.runtime = action.payload;
+      if (state.runtime === RUNTIMES.NODE) {
+        state.executionMode = EXECUTION_MODES.SIMULATED;
+      }
+      if (state.apiPolicy !== 'strict' && API_POLICIES[state.runtime]) {
+        state.apiPolicy = state.runtime;
+      }
+    },
+    
+    setApiPolicy: (state, action) => {
+      state.apiPolicy = action.payload;
+    },
+    
+    addFetchFixture: (state) => {
+      const id = state.fetchFixtures.reduce((max, fixture) => Math.max(max, fixture.id), 0) + 1;
+      state.fetchFixtures.push({ id, url: `/api/resource-${id}`, status: 200, body: '{}', latency: 100 });
+    },
+    
+    updateFetchFixture: (state, action) => {
+      const { id, changes } = action.payload;
+      const fixture = state.fetchFixtures.find(f => f.id === id);
+      if (fixture) {
+        Object.assign(fixture, changes);
+      }
+    },
+    
+    removeFetchFixture: (state, action) => {
+      state.fetchFixtures = state.fetchFixtures.filter(f => f.id !== action.payload);
+    },
+    
+    // Out-of-range values are clamped when the run starts
+    updateBudget: (state, action) => {
+      const { name, value } = action.payload;
+      state.budgets[name] = value;
+    },
+    
+    resetBudgets: (state) => {
+      state.budgets = { ...DEFAULT_BUDGETS };
+    },
+    
+    setStreamedEventCount: (state, action) => {
+      state.streamedEventCount = action.payload;
+    },
+    
     setExecutingCustomCode: (state, action) => {
       state.isExecutingCustomCode = action.payload;
     },
@@ -708,6 +1380,7 @@ const eventLoopSlice = createSlice({
     
     addCapturedConsoleLog: (state, action) => {
       state.capturedConsoleLogs.push({
+        id: state.nextConsoleLineId++,
         message: action.payload,
         timestamp: Date.now(),
         type: 'log'
@@ -725,6 +1398,7 @@ const eventLoopSlice = createSlice({
     clearExecutionResults: (state) => {
       state.executionResults = [];
       state.executionErrors = [];
+      state.problems = [];
       state.capturedConsoleLogs = [];
       state.executionStartTime = null;
       state.executionEndTime = null;
@@ -735,6 +1409,7 @@ const eventLoopSlice = createSlice({
       state.codeExecutionSteps = action.payload;
       state.currentCodeStep = 0;
       state.codeExecutionProgress = 0;
+      state.history = [];
     },
     
     setCurrentCodeStep: (state, action) => {
@@ -748,10 +1423,6 @@ const eventLoopSlice = createSlice({
       state.codeExecutionState = action.payload;
     },
     
-    updateCodeExecutionVariables: (state, action) => {
-      state.codeExecutionVariables = { ...state.codeExecutionVariables, ...action.payload };
-    },
-    
     setCodeExecutionFunctions: (state, action) => {
       state.codeExecutionFunctions = action.payload;
     },
@@ -773,10 +1444,29 @@ const eventLoopSlice = createSlice({
       state.currentCodeStep = 0;
       state.codeExecutionState = CODE_EXECUTION_STEPS.PARSING;
       state.codeExecutionProgress = 0;
-      state.codeExecutionVariables = {};
       state.codeExecutionFunctions = [];
       state.isCodeExecuting = false;
       state.codeExecutionPaused = false;
+      state.history = [];
+    },
+    
+    // Rewind or fast-forward to the state after `index` trace events. The
+    // loop stops so the restored step stays on screen.
+    travelToSnapshot: (state, action) => {
+      const { history, latestConsole, consoleOutput, capturedConsoleLogs } = original(state);
+      const snapshot = history[action.payload];
+      if (!snapshot) {
+        return;
+      }
+      const { consoleLength, ...fields } = snapshot;
+      Object.assign(state, fields);
+      restoreConsole(state, latestConsole || { consoleOutput, capturedConsoleLogs }, consoleLength);
+      state.isRunning = false;
+      state.isPaused = false;
+      state.codeExecutionPaused = false;
+      state.breakpointHit = null;
+      state.selectedTask = null;
+      state.tooltip = null;
     },
     
     // Legacy methods for backward compatibility
@@ -846,9 +1536,40 @@ const eventLoopSlice = createSlice({
         state.isAnimating = false;
       })
       .addCase(executeCustomCode.fulfilled, (state, action) => {
-        // Code parsing completed, ready for execution
+        // Code simulated or captured, trace ready for replay
+        state.isExecutingCustomCode = false;
         state.isCodeExecuting = true;
         state.codeExecutionPaused = false;
+        if (action.payload.result !== undefined) {
+          state.executionResults.push({
+            value: action.payload.result,
+            type: action.payload.resultType,
+            executionTime: action.payload.duration,
+          });
+        }
+        recordSnapshot(state);
+      })
+      .addCase(executeCustomCode.rejected, (state, action) => {
+        // Parse errors stop the pipeline before anything is queued
+        const { message, lineNumber, column } = action.payload || { message: action.error.message };
+        state.isExecutingCustomCode = false;
+        state.isCodeExecuting = false;
+        state.codeExecutionState = CODE_EXECUTION_STEPS.ERROR;
+        state.executionErrors.push(message);
+        if (lineNumber) {
+          state.problems.push({
+            source: 'parse',
+            // esprima puts the line in front of its messages
+            message: `SyntaxError: ${message.replace(/^Line \d+: /, '')}`,
+            lineNumber,
+            column: column || null
+          });
+        }
+        addConsoleLine(state, {
+          message: `❌ Execution error: ${message}`,
+          timestamp: Date.now(),
+          type: 'error'
+        });
       })
       .addCase(executeNextCodeStep.fulfilled, (state, action) => {
         if (action.payload) {
@@ -863,6 +1584,7 @@ const eventLoopSlice = createSlice({
             state.isCodeExecuting = false;
             state.codeExecutionState = CODE_EXECUTION_STEPS.COMPLETED;
           }
+          recordSnapshot(state);
         }
       });
   },
@@ -876,10 +1598,15 @@ export const {
   executeSynchronousTaskWithSteps,
   executeCallbackWithSteps,
   executeMicrotaskWithSteps,
+  applyTraceEvent,
   completeTaskExecution,
   setRunning,
   setSpeed,
   setPaused,
+  toggleBreakpoint,
+  clearBreakpoints,
+  pauseAtBreakpoint,
+  setLoopPhase,
   setSelectedTask,
   setTooltip,
   setExecutionStep,
@@ -887,12 +1614,22 @@ export const {
   setCurrentCodeSample,
   addConsoleOutput,
   clearConsoleOutput,
+  setConsoleHistoryLimit,
   clearAll,
   moveFromWebAPIToCallback,
   setAnimating,
   // Custom code execution exports
   setCustomCode,
+  setExecutionMode,
+  setRuntime,
+  setApiPolicy,
+  addFetchFixture,
+  updateFetchFixture,
+  removeFetchFixture,
+  updateBudget,
+  resetBudgets,
   setExecutingCustomCode,
+  setStreamedEventCount,
   addExecutionResult,
   addExecutionError,
   addCapturedConsoleLog,
@@ -903,12 +1640,12 @@ export const {
   setCodeExecutionSteps,
   setCurrentCodeStep,
   setCodeExecutionState,
-  updateCodeExecutionVariables,
   setCodeExecutionFunctions,
   setIsCodeExecuting,
   setCodeExecutionSpeed,
   setCodeExecutionPaused,
   clearCodeExecutionState,
+  travelToSnapshot,
   // Legacy exports
   executeSynchronousTask,
   executeCallback,
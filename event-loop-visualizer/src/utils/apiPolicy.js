@@ -0,0 +1,108 @@
+// API Policy
+// Decides which globals user code may reach. Each preset is an allowlist of
+// global groups; the simulator only exposes what the preset allows, and the
+// capture shadows every other host global. Touching a global or a member the
+// preset blocks throws an error naming the policy.
+
+// Globals exposed to user code, by group
+export const API_GROUPS = {
+  language: {
+    label: 'Language',
+    globals: [
+      'console', 'Promise', 'Date', 'undefined', 'NaN', 'Infinity', 'Math', 'JSON', 'Object', 'Array',
+      'String', 'Number', 'Boolean', 'Symbol', 'Map', 'Set', 'WeakMap', 'WeakSet', 'RegExp', 'Error',
+      'TypeError', 'RangeError', 'ReferenceError', 'SyntaxError', 'parseInt', 'parseFloat', 'isNaN', 'isFinite'
+    ]
+  },
+  timers: {
+    label: 'Timers and microtasks',
+    globals: ['setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'queueMicrotask', 'performance']
+  },
+  network: {
+    label: 'fetch',
+    globals: ['fetch', 'Response']
+  },
+  dom: {
+    label: 'DOM and rendering',
+    globals: ['document', 'MutationObserver', 'requestAnimationFrame', 'cancelAnimationFrame']
+  },
+  node: {
+    label: 'process and setImmediate',
+    globals: ['process', 'setImmediate', 'clearImmediate']
+  },
+};
+
+export const API_POLICIES = {
+  browser: {
+    label: 'Browser basics',
+    icon: '🌐',
+    description: 'Timers, promises, fetch and the mini DOM',
+    groups: ['language', 'timers', 'network', 'dom']
+  },
+  node: {
+    label: 'Node',
+    icon: '🟢',
+    description: 'Timers, promises, fetch, process.nextTick and setImmediate',
+    groups: ['language', 'timers', 'network', 'node']
+  },
+  strict: {
+    label: 'Strict',
+    icon: '🔒',
+    description: 'The language, timers and promises only',
+    groups: ['language', 'timers']
+  },
+};
+
+export const DEFAULT_API_POLICY = 'browser';
+
+// Host globals no preset allows. The simulator never had them, but code
+// copied from a real page reaches for them, so they get the policy's error
+// rather than "is not defined".
+const HOST_GLOBALS = [
+  'window', 'self', 'globalThis', 'global', 'localStorage', 'sessionStorage', 'indexedDB', 'caches',
+  'navigator', 'location', 'history', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'Worker',
+  'SharedWorker', 'BroadcastChannel', 'postMessage', 'importScripts', 'eval', 'Function', 'require',
+  'module', 'exports', 'Buffer'
+];
+
+// Members blocked on globals a preset does allow
+const BLOCKED_MEMBERS = {
+  document: ['cookie', 'domain']
+};
+
+// Unknown names from the UI fall back to the default preset
+export const resolveApiPolicy = (name) => (API_POLICIES[name] ? name : DEFAULT_API_POLICY);
+
+// The allowlist and error messages for one preset
+export const createApiPolicy = (name) => {
+  const policyName = resolveApiPolicy(name);
+  const { label, groups } = API_POLICIES[policyName];
+  const allowed = new Set(groups.flatMap(group => API_GROUPS[group].globals));
+  const known = Object.values(API_GROUPS).flatMap(group => group.globals);
+
+  const allows = (global) => allowed.has(global);
+  const blockedGlobalError = (global) => new ReferenceError(`${global} is blocked by the "${label}" API policy`);
+  const blockedMemberError = (global, member) => new TypeError(`${global}.${member} is blocked by the "${label}" API policy`);
+
+  // Make the blocked members of an allowed global throw when read or written
+  const guardMembers = (global, target) => {
+    (BLOCKED_MEMBERS[global] || []).forEach(member => {
+      const error = () => {
+        throw blockedMemberError(global, member);
+      };
+      Object.defineProperty(target, member, { get: error, set: error, configurable: true });
+    });
+    return target;
+  };
+
+  return {
+    name: policyName,
+    label,
+    allows,
+    // Known globals this preset blocks: the other groups and the host's own
+    blocked: [...known, ...HOST_GLOBALS].filter(global => !allows(global)),
+    blockedGlobalError,
+    blockedMemberError,
+    guardMembers
+  };
+};
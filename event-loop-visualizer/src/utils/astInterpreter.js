@@ -0,0 +1,1529 @@
+// AST Interpreter
+// Walks an esprima AST against simulated scopes, so user code never goes
+// through eval or new Function and can only reach the globals it is given
+
+import * as esprima from 'esprima';
+import { DEFAULT_BUDGETS, BudgetExceededError } from './executionBudgets';
+
+const UNINITIALIZED = Symbol('uninitialized');
+
+const LEXICAL_KINDS = ['let', 'const', 'class'];
+
+// Lexical environment for the host globals, the script, a function or a block
+export class Scope {
+  constructor(parent = null, kind = 'block', name = null) {
+    this.parent = parent;
+    this.kind = kind; // 'host' | 'global' | 'function' | 'block' | 'catch'
+    this.name = name;
+    this.bindings = new Map();
+  }
+
+  // Create a binding; let/const/class start in the temporal dead zone
+  declare(name, kind, value = undefined) {
+    const existing = this.bindings.get(name);
+    if (existing) {
+      if (LEXICAL_KINDS.includes(kind) || LEXICAL_KINDS.includes(existing.kind)) {
+        throw new SyntaxError(`Identifier '${name}' has already been declared`);
+      }
+      if (kind === 'function') {
+        existing.value = value;
+      }
+      return;
+    }
+    this.bindings.set(name, {
+      kind,
+      value: LEXICAL_KINDS.includes(kind) ? UNINITIALIZED : value
+    });
+  }
+
+  // Leave the temporal dead zone for a let/const/class binding
+  initialize(name, value) {
+    this.bindings.get(name).value = value;
+  }
+
+  lookup(name) {
+    let scope = this;
+    while (scope) {
+      if (scope.bindings.has(name)) {
+        return scope;
+      }
+      scope = scope.parent;
+    }
+    return null;
+  }
+
+  has(name) {
+    return this.lookup(name) !== null;
+  }
+
+  get(name) {
+    const scope = this.lookup(name);
+    if (!scope) {
+      throw new ReferenceError(`${name} is not defined`);
+    }
+    const binding = scope.bindings.get(name);
+    if (binding.value === UNINITIALIZED) {
+      throw new ReferenceError(`Cannot access '${name}' before initialization`);
+    }
+    if (binding.kind === 'blocked') {
+      throw binding.value(name);
+    }
+    return binding.value;
+  }
+
+  // Host global the API policy blocks; its value makes the error to throw
+  isBlocked(name) {
+    const scope = this.lookup(name);
+    return scope !== null && scope.bindings.get(name).kind === 'blocked';
+  }
+
+  // Assign to an existing binding, creating an implicit global when undeclared
+  assign(name, value) {
+    const scope = this.lookup(name);
+    if (!scope || scope.kind === 'host') {
+      this.getGlobalScope().declare(name, 'var', value);
+      this.getGlobalScope().bindings.get(name).value = value;
+      return;
+    }
+    const binding = scope.bindings.get(name);
+    if (binding.value === UNINITIALIZED) {
+      throw new ReferenceError(`Cannot access '${name}' before initialization`);
+    }
+    if (binding.kind === 'const') {
+      throw new TypeError('Assignment to constant variable.');
+    }
+    binding.value = value;
+  }
+
+  getGlobalScope() {
+    let scope = this;
+    while (scope.kind !== 'global' && scope.parent) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+
+  // Nearest scope that owns a `this` binding (arrow functions do not)
+  getThisScope() {
+    let scope = this;
+    while (scope && !scope.hasThis) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+
+  // Fresh copy of a loop head scope, giving each iteration its own let bindings
+  copy() {
+    const scope = new Scope(this.parent, this.kind, this.name);
+    this.bindings.forEach((binding, name) => {
+      scope.bindings.set(name, { ...binding });
+    });
+    return scope;
+  }
+}
+
+// Names a function reads from outside itself: every identifier it
+// references minus everything declared in it, nested functions included
+const collectFreeVariables = (fn, collectPatternNames) => {
+  const referenced = new Set();
+  const declared = new Set(['arguments']);
+  const visit = (node, parent, key) => {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+    switch (node.type) {
+      case 'Identifier':
+        if (!(parent && !parent.computed && (
+          (parent.type === 'MemberExpression' && key === 'property') ||
+          (parent.type === 'Property' && key === 'key') ||
+          (parent.type === 'MethodDefinition' && key === 'key')
+        ))) {
+          referenced.add(node.name);
+        }
+        return;
+      case 'VariableDeclarator':
+        collectPatternNames(node.id, []).forEach(name => declared.add(name));
+        break;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        if (node.id) {
+          declared.add(node.id.name);
+        }
+        node.params.forEach(param => collectPatternNames(param, []).forEach(name => declared.add(name)));
+        break;
+      case 'ClassDeclaration':
+        declared.add(node.id.name);
+        break;
+      case 'CatchClause':
+        if (node.param) {
+          collectPatternNames(node.param, []).forEach(name => declared.add(name));
+        }
+        break;
+      case 'LabeledStatement':
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        visit(node.body, node, 'body');
+        return;
+      default:
+        break;
+    }
+    Object.keys(node).forEach(childKey => {
+      const child = node[childKey];
+      if (Array.isArray(child)) {
+        child.forEach(item => visit(item, node, childKey));
+      } else if (child && typeof child === 'object' && childKey !== 'loc') {
+        visit(child, node, childKey);
+      }
+    });
+  };
+  visit(fn, null, null);
+  return [...referenced].filter(name => !declared.has(name));
+};
+
+// Completion records for statements that leave their block early
+const completion = (type, value, label = null) => ({ type, value, label });
+
+const isCompletion = (result) => result !== undefined;
+
+export class Interpreter {
+  constructor({ globals = {}, blockedGlobals = [], blockedError, intrinsics = {}, asyncHooks = {}, callHooks = {}, budgets = DEFAULT_BUDGETS } = {}) {
+    this.hostScope = new Scope(null, 'host', 'Host');
+    Object.entries(globals).forEach(([name, value]) => {
+      this.hostScope.declare(name, 'var', value);
+    });
+    // Reading a blocked global throws blockedError(name) instead of the
+    // usual "is not defined"
+    blockedGlobals.forEach(name => {
+      this.hostScope.declare(name, 'blocked', blockedError);
+    });
+    this.globalScope = new Scope(this.hostScope, 'global', 'Global');
+    this.globalScope.hasThis = true;
+    this.globalScope.thisValue = undefined;
+
+    // Engine-internal constructors that user code cannot shadow
+    this.intrinsics = intrinsics;
+
+    // Notified when an async function suspends at an await and resumes
+    this.asyncHooks = { suspend() {}, resume() {}, ...asyncHooks };
+
+    // Notified when a call frame for a user function is pushed and popped,
+    // and when a call is refused because the stack is at the depth budget
+    this.callHooks = { enter() {}, exit() {}, overflow() {}, ...callHooks };
+    this.callStack = [];
+
+    // Per-loop iteration and call depth limits
+    this.budgets = budgets;
+
+    // Innermost scope of the code running right now, for the scope inspector
+    this.currentScope = this.globalScope;
+    this.scopeIds = new WeakMap();
+    this.nextScopeId = 1;
+    this.freeVariables = new WeakMap();
+
+    this.functionMeta = new WeakMap();
+    this.labels = new WeakMap();
+    this.currentNode = null;
+    this.nextFrameId = 1;
+
+    // Statements executed so far; the simulator turns this into CPU time
+    this.steps = 0;
+
+    // Lines whose statements ran, and the first `debugger;` reached, since
+    // the last takeReachedLines(), for breakpoints
+    this.reachedLines = new Set();
+    this.debuggerLine = null;
+  }
+
+  parse(code) {
+    return esprima.parseScript(code, { range: true, loc: true });
+  }
+
+  // Line of the statement or call currently being evaluated
+  get currentLine() {
+    return this.currentNode && this.currentNode.loc ? this.currentNode.loc.start.line : 1;
+  }
+
+  // 1-based column where that statement or call starts
+  get currentColumn() {
+    return this.currentNode && this.currentNode.loc ? this.currentNode.loc.start.column + 1 : 1;
+  }
+
+  takeReachedLines() {
+    const reached = { lines: [...this.reachedLines], debuggerLine: this.debuggerLine };
+    this.reachedLines.clear();
+    this.debuggerLine = null;
+    return reached;
+  }
+
+  // Run a parsed script; returns the completion value like eval would
+  runProgram(ast) {
+    return this.runToCompletion(this.executeProgram(ast));
+  }
+
+  *executeProgram(ast) {
+    this.hoistDeclarations(ast.body, this.globalScope, this.globalScope);
+    let lastValue;
+    for (const statement of ast.body) {
+      this.lastValue = undefined;
+      yield* this.executeStatement(statement, this.globalScope);
+      if (statement.type === 'ExpressionStatement') {
+        lastValue = this.lastValue;
+      }
+    }
+    return lastValue;
+  }
+
+  // Evaluation methods are generators that only yield at an `await`, so
+  // code outside an async function body always runs straight through
+  runToCompletion(generator) {
+    const step = generator.next();
+    if (!step.done) {
+      throw new SyntaxError('await is only valid in async functions and the top level bodies of modules');
+    }
+    return step.value;
+  }
+
+  // Declarations
+
+  // Hoist var and function declarations to their function scope and
+  // create let/const/class bindings for the block being entered
+  hoistDeclarations(statements, blockScope, functionScope) {
+    statements.forEach(statement => {
+      if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+        statement.declarations.forEach(declarator => {
+          this.collectPatternNames(declarator.id).forEach(name => blockScope.declare(name, statement.kind));
+        });
+      } else if (statement.type === 'ClassDeclaration') {
+        blockScope.declare(statement.id.name, 'class');
+      } else if (statement.type === 'FunctionDeclaration') {
+        blockScope.declare(statement.id.name, 'function', this.createFunction(statement, blockScope));
+      }
+    });
+    this.hoistVars(statements, functionScope);
+  }
+
+  hoistVars(nodes, functionScope) {
+    nodes.forEach(node => {
+      if (!node || typeof node.type !== 'string') {
+        return;
+      }
+      switch (node.type) {
+        case 'VariableDeclaration':
+          if (node.kind === 'var') {
+            node.declarations.forEach(declarator => {
+              this.collectPatternNames(declarator.id).forEach(name => functionScope.declare(name, 'var'));
+            });
+          }
+          break;
+        case 'BlockStatement':
+          this.hoistVars(node.body, functionScope);
+          break;
+        case 'IfStatement':
+          this.hoistVars([node.consequent, node.alternate], functionScope);
+          break;
+        case 'ForStatement':
+          this.hoistVars([node.init, node.body], functionScope);
+          break;
+        case 'ForInStatement':
+        case 'ForOfStatement':
+          this.hoistVars([node.left, node.body], functionScope);
+          break;
+        case 'WhileStatement':
+        case 'DoWhileStatement':
+        case 'LabeledStatement':
+          this.hoistVars([node.body], functionScope);
+          break;
+        case 'TryStatement':
+          this.hoistVars([node.block, node.handler && node.handler.body, node.finalizer], functionScope);
+          break;
+        case 'SwitchStatement':
+          node.cases.forEach(switchCase => this.hoistVars(switchCase.consequent, functionScope));
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  collectPatternNames(pattern, names = []) {
+    switch (pattern.type) {
+      case 'Identifier':
+        names.push(pattern.name);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(property => {
+          this.collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names);
+        });
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => element && this.collectPatternNames(element, names));
+        break;
+      case 'AssignmentPattern':
+        this.collectPatternNames(pattern.left, names);
+        break;
+      case 'RestElement':
+        this.collectPatternNames(pattern.argument, names);
+        break;
+      default:
+        break;
+    }
+    return names;
+  }
+
+  // Bind a declaration or parameter pattern, or assign to an assignment target
+  *bindPattern(pattern, value, scope, kind = null) {
+    switch (pattern.type) {
+      case 'Identifier':
+        if (kind === 'param') {
+          scope.declare(pattern.name, 'var');
+          scope.bindings.get(pattern.name).value = value;
+        } else if (kind && kind !== 'var') {
+          scope.initialize(pattern.name, value);
+        } else {
+          // var bindings were hoisted to the function scope already
+          scope.assign(pattern.name, value);
+        }
+        break;
+      case 'MemberExpression': {
+        const object = yield* this.evaluate(pattern.object, scope);
+        this.setMember(object, yield* this.getPropertyKey(pattern, scope), value);
+        break;
+      }
+      case 'AssignmentPattern': {
+        const resolved = value === undefined
+          ? yield* this.evaluateNamed(pattern.right, scope, pattern.left.name)
+          : value;
+        yield* this.bindPattern(pattern.left, resolved, scope, kind);
+        break;
+      }
+      case 'ObjectPattern': {
+        if (value === null || value === undefined) {
+          throw new TypeError(`Cannot destructure '${value}' as it is ${value}.`);
+        }
+        const usedKeys = [];
+        for (const property of pattern.properties) {
+          if (property.type === 'RestElement') {
+            const rest = {};
+            Object.keys(value).forEach(key => {
+              if (!usedKeys.includes(key)) {
+                rest[key] = value[key];
+              }
+            });
+            yield* this.bindPattern(property.argument, rest, scope, kind);
+            continue;
+          }
+          const key = property.computed
+            ? yield* this.evaluate(property.key, scope)
+            : (property.key.name ?? property.key.value);
+          usedKeys.push(String(key));
+          yield* this.bindPattern(property.value, this.getMember(value, key), scope, kind);
+        }
+        break;
+      }
+      case 'ArrayPattern': {
+        const items = this.iterate(value);
+        for (const [index, element] of pattern.elements.entries()) {
+          if (!element) {
+            continue;
+          }
+          if (element.type === 'RestElement') {
+            yield* this.bindPattern(element.argument, items.slice(index), scope, kind);
+          } else {
+            yield* this.bindPattern(element, items[index], scope, kind);
+          }
+        }
+        break;
+      }
+      default:
+        throw new SyntaxError(`Unsupported binding pattern: ${pattern.type}`);
+    }
+  }
+
+  // Functions
+
+  // Wrap a function node in a real JS function so host code (timers,
+  // promises, Array.prototype.map...) can call it like any other callback
+  createFunction(node, scope, name = null, homeObject = null) {
+    const interpreter = this;
+    const isArrow = node.type === 'ArrowFunctionExpression';
+    const functionName = node.id ? node.id.name : (name || '');
+
+    if (node.generator) {
+      throw new SyntaxError('Generator functions are not supported by the simulator');
+    }
+
+    const meta = {
+      node,
+      scope,
+      name: functionName,
+      isArrow,
+      isAsync: node.async,
+      homeObject
+    };
+
+    let fn;
+    if (isArrow) {
+      fn = (...args) => interpreter.callFunction(meta, undefined, args, undefined);
+    } else {
+      fn = function (...args) {
+        if (new.target && meta.isAsync) {
+          throw new TypeError(`${functionName || 'anonymous'} is not a constructor`);
+        }
+        return interpreter.callFunction(meta, this, args, new.target);
+      };
+    }
+
+    Object.defineProperty(fn, 'name', { value: functionName });
+    Object.defineProperty(fn, 'length', {
+      value: node.params.filter(param => param.type === 'Identifier').length
+    });
+    this.functionMeta.set(fn, meta);
+    return fn;
+  }
+
+  callFunction(meta, thisArg, args, newTarget) {
+    const { node } = meta;
+    const functionScope = new Scope(meta.scope, 'function', meta.name || '(anonymous)');
+
+    if (!meta.isArrow) {
+      functionScope.hasThis = true;
+      functionScope.thisValue = thisArg;
+      functionScope.newTarget = newTarget;
+      functionScope.homeObject = meta.homeObject;
+      functionScope.declare('arguments', 'var', args);
+    }
+
+    if (meta.isAsync) {
+      return this.runAsyncFunction(meta, functionScope, args);
+    }
+    // Parameters are bound first, so a new frame already shows its arguments
+    this.runToCompletion(this.bindParameters(node.params, args, functionScope));
+    const frame = this.enterFrame(meta.name, args, node, functionScope);
+    try {
+      return this.runToCompletion(this.runFunctionBody(node, functionScope));
+    } finally {
+      this.exitFrame(frame);
+    }
+  }
+
+  // Frames exist for user functions only; host functions run inside the
+  // frame of whoever called them. Throwing unwinds through `finally`.
+  // Past the depth budget the call throws the engine's RangeError instead.
+  enterFrame(name, args, node, scope) {
+    if (this.callStack.length >= this.budgets.maxCallDepth) {
+      this.callHooks.overflow(this.budgets.maxCallDepth, node.loc.start.line);
+      throw new RangeError('Maximum call stack size exceeded');
+    }
+    const frame = {
+      id: this.nextFrameId++,
+      name: name || 'anonymous',
+      args,
+      scope,
+      callerScope: this.currentScope,
+      lineNumber: node.loc.start.line,
+      callLine: this.currentLine // where the caller had got to
+    };
+    this.callStack.push(frame);
+    this.currentScope = scope;
+    this.callHooks.enter(frame);
+    return frame;
+  }
+
+  exitFrame(frame) {
+    this.callStack.pop();
+    this.currentScope = frame.callerScope;
+    this.callHooks.exit(frame);
+  }
+
+  // Stable per-run number for a scope; loop iterations get fresh scopes,
+  // so closures over `let` and `var` loop variables show different ids
+  getScopeId(scope) {
+    if (!this.scopeIds.has(scope)) {
+      this.scopeIds.set(scope, this.nextScopeId++);
+    }
+    return this.scopeIds.get(scope);
+  }
+
+  // Scopes from the innermost out to the script's global scope, with their
+  // bindings; the host globals are left out
+  describeScopeChain(scope) {
+    const chain = [];
+    for (let current = scope; current && current.kind !== 'host'; current = current.parent) {
+      const bindings = [...current.bindings]
+        .filter(([name]) => name !== 'arguments')
+        .map(([name, binding]) => ({
+          name,
+          kind: binding.kind,
+          value: binding.value,
+          uninitialized: binding.value === UNINITIALIZED
+        }));
+      if (bindings.length > 0 || current.kind !== 'block') {
+        chain.push({ id: this.getScopeId(current), kind: current.kind, name: current.name, bindings });
+      }
+    }
+    return chain;
+  }
+
+  // Variables a user function closes over and the scope each one lives in;
+  // null for host functions
+  describeClosure(fn) {
+    const meta = this.functionMeta.get(fn);
+    if (!meta) {
+      return null;
+    }
+    if (!this.freeVariables.has(meta.node)) {
+      this.freeVariables.set(meta.node, collectFreeVariables(meta.node, (pattern, names) => this.collectPatternNames(pattern, names)));
+    }
+    return this.freeVariables.get(meta.node).flatMap(name => {
+      const scope = meta.scope.lookup(name);
+      if (!scope || scope.kind === 'host') {
+        return [];
+      }
+      const binding = scope.bindings.get(name);
+      return [{
+        name,
+        kind: binding.kind,
+        value: binding.value,
+        uninitialized: binding.value === UNINITIALIZED,
+        scope: { id: this.getScopeId(scope), kind: scope.kind, name: scope.name }
+      }];
+    });
+  }
+
+  *bindParameters(params, args, functionScope) {
+    for (const [index, param] of params.entries()) {
+      if (param.type === 'RestElement') {
+        yield* this.bindPattern(param.argument, args.slice(index), functionScope, 'param');
+      } else {
+        yield* this.bindPattern(param, args[index], functionScope, 'param');
+      }
+    }
+  }
+
+  *runFunctionBody(node, functionScope) {
+    if (node.expression) {
+      return yield* this.evaluate(node.body, functionScope);
+    }
+    this.hoistDeclarations(node.body.body, functionScope, functionScope);
+    const result = yield* this.executeStatements(node.body.body, functionScope);
+    if (result && result.type === 'return') {
+      return result.value;
+    }
+    return undefined;
+  }
+
+  // An async function runs synchronously up to its first `await`, then
+  // hands its promise back to the caller. The suspended frame keeps the
+  // generator, and each continuation resumes it as its own microtask.
+  runAsyncFunction(meta, functionScope, args) {
+    const { Promise: SimulatedPromise } = this.intrinsics;
+    const frame = {
+      id: this.nextFrameId++,
+      name: meta.name || 'anonymous',
+      args,
+      node: meta.node,
+      scope: functionScope,
+      lineNumber: meta.node.loc.start.line,
+      generator: this.runFunctionBody(meta.node, functionScope)
+    };
+    const promise = new SimulatedPromise((resolve, reject) => {
+      frame.resolve = resolve;
+      frame.reject = reject;
+    });
+    // A parameter that fails to bind rejects the promise, like a throw in the body
+    try {
+      this.runToCompletion(this.bindParameters(meta.node.params, args, functionScope));
+    } catch (error) {
+      if (this.isUncatchable(error)) {
+        throw error;
+      }
+      frame.reject(error);
+      return promise;
+    }
+    this.resumeAsyncFunction(frame, 'next', undefined);
+    return promise;
+  }
+
+  // Each run of the body, up to an await or the end, is on the stack as a
+  // fresh call frame
+  resumeAsyncFunction(frame, method, value) {
+    let step;
+    const callFrame = this.enterFrame(frame.name, frame.args, frame.node, frame.scope);
+    try {
+      step = frame.generator[method](value);
+    } catch (error) {
+      if (this.isUncatchable(error)) {
+        throw error;
+      }
+      frame.reject(error);
+      return;
+    } finally {
+      this.exitFrame(callFrame);
+    }
+    if (step.done) {
+      // Resolved, not wrapped: a returned promise is adopted like any thenable
+      frame.resolve(step.value);
+      return;
+    }
+    this.suspendAsyncFunction(frame, step.value);
+  }
+
+  // The awaited value is resolved to a promise and the continuation is
+  // subscribed to it, so `await 1` costs one tick and a pending promise
+  // keeps the frame parked until it settles
+  suspendAsyncFunction(frame, { value, node }) {
+    frame.lineNumber = node.loc.start.line;
+    this.asyncHooks.suspend(frame);
+    const resume = (method) => (result) => {
+      this.currentNode = node;
+      this.asyncHooks.resume(frame);
+      this.resumeAsyncFunction(frame, method, result);
+    };
+    this.intrinsics.awaitPromise(value, resume('next'), resume('throw'), {
+      description: `Async continuation: ${frame.name} (line ${frame.lineNumber})`,
+      lineNumber: frame.lineNumber
+    });
+  }
+
+  // Classes
+
+  *evaluateClass(node, scope, name = null) {
+    const interpreter = this;
+    const className = node.id ? node.id.name : (name || '');
+    const superClass = node.superClass ? yield* this.evaluate(node.superClass, scope) : null;
+
+    if (superClass !== null && typeof superClass !== 'function') {
+      throw new TypeError(`Class extends value ${superClass} is not a constructor or null`);
+    }
+
+    const classScope = new Scope(scope, 'block');
+    if (node.id) {
+      classScope.declare(className, 'const');
+    }
+
+    const constructorDefinition = node.body.body.find(member => member.kind === 'constructor');
+    const meta = {
+      node: constructorDefinition ? constructorDefinition.value : null,
+      scope: classScope,
+      name: className,
+      superClass,
+      isClass: true
+    };
+
+    const cls = function (...args) {
+      if (!new.target) {
+        throw new TypeError(`Class constructor ${className} cannot be invoked without 'new'`);
+      }
+      return interpreter.constructClass(meta, args, new.target);
+    };
+
+    Object.defineProperty(cls, 'name', { value: className });
+    if (superClass) {
+      Object.setPrototypeOf(cls, superClass);
+      Object.setPrototypeOf(cls.prototype, superClass.prototype);
+    }
+    meta.homeObject = cls.prototype;
+
+    for (const member of node.body.body) {
+      if (member.kind === 'constructor') {
+        continue;
+      }
+      const target = member.static ? cls : cls.prototype;
+      const key = member.computed ? yield* this.evaluate(member.key, classScope) : member.key.name;
+      const method = this.createFunction(member.value, classScope, String(key), target);
+      if (member.kind === 'get' || member.kind === 'set') {
+        const descriptor = Object.getOwnPropertyDescriptor(target, key) || { configurable: true };
+        descriptor[member.kind] = method;
+        Object.defineProperty(target, key, descriptor);
+      } else {
+        Object.defineProperty(target, key, { value: method, writable: true, configurable: true });
+      }
+    }
+
+    this.functionMeta.set(cls, meta);
+    if (node.id) {
+      classScope.initialize(className, cls);
+    }
+    return cls;
+  }
+
+  constructClass(meta, args, newTarget) {
+    const functionScope = new Scope(meta.scope, 'function', meta.name);
+    functionScope.hasThis = true;
+    functionScope.newTarget = newTarget;
+    functionScope.homeObject = meta.homeObject;
+    functionScope.superClass = meta.superClass;
+
+    if (meta.superClass) {
+      functionScope.thisValue = UNINITIALIZED;
+      if (!meta.node) {
+        functionScope.thisValue = Reflect.construct(meta.superClass, args, newTarget);
+        return functionScope.thisValue;
+      }
+    } else {
+      functionScope.thisValue = Object.create(newTarget.prototype);
+      if (!meta.node) {
+        return functionScope.thisValue;
+      }
+    }
+
+    functionScope.declare('arguments', 'var', args);
+    this.runToCompletion(this.bindParameters(meta.node.params, args, functionScope));
+    const frame = this.enterFrame(meta.name, args, meta.node, functionScope);
+    let result;
+    try {
+      result = this.runToCompletion(this.runFunctionBody(meta.node, functionScope));
+    } finally {
+      this.exitFrame(frame);
+    }
+
+    if (result !== null && (typeof result === 'object' || typeof result === 'function')) {
+      return result;
+    }
+    if (functionScope.thisValue === UNINITIALIZED) {
+      throw new ReferenceError("Must call super constructor in derived class before accessing 'this' or returning from derived constructor");
+    }
+    return functionScope.thisValue;
+  }
+
+  // Statements
+
+  *executeStatements(statements, scope) {
+    for (const statement of statements) {
+      const result = yield* this.executeStatement(statement, scope);
+      if (isCompletion(result)) {
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  *executeBlock(statements, parentScope) {
+    const blockScope = new Scope(parentScope, 'block');
+    this.hoistDeclarations(statements, blockScope, this.getFunctionScope(parentScope));
+    return yield* this.executeStatements(statements, blockScope);
+  }
+
+  getFunctionScope(scope) {
+    let current = scope;
+    while (current.kind !== 'function' && current.kind !== 'global') {
+      current = current.parent;
+    }
+    return current;
+  }
+
+  *executeStatement(node, scope) {
+    this.currentNode = node;
+    this.currentScope = scope;
+    this.steps += 1;
+    this.reachedLines.add(node.loc.start.line);
+
+    switch (node.type) {
+      case 'ExpressionStatement':
+        this.lastValue = yield* this.evaluate(node.expression, scope);
+        return undefined;
+
+      case 'VariableDeclaration':
+        for (const declarator of node.declarations) {
+          this.currentNode = declarator;
+          if (!declarator.init) {
+            if (node.kind !== 'var') {
+              yield* this.bindPattern(declarator.id, undefined, scope, node.kind);
+            }
+            continue;
+          }
+          const name = declarator.id.type === 'Identifier' ? declarator.id.name : null;
+          const value = yield* this.evaluateNamed(declarator.init, scope, name);
+          yield* this.bindPattern(declarator.id, value, scope, node.kind);
+        }
+        return undefined;
+
+      case 'DebuggerStatement':
+        if (this.debuggerLine === null) {
+          this.debuggerLine = node.loc.start.line;
+        }
+        return undefined;
+
+      case 'FunctionDeclaration':
+      case 'EmptyStatement':
+        return undefined;
+
+      case 'ClassDeclaration':
+        scope.initialize(node.id.name, yield* this.evaluateClass(node, scope));
+        return undefined;
+
+      case 'ReturnStatement':
+        return completion('return', node.argument ? yield* this.evaluate(node.argument, scope) : undefined);
+
+      case 'IfStatement':
+        if (yield* this.evaluate(node.test, scope)) {
+          return yield* this.executeStatement(node.consequent, scope);
+        }
+        return node.alternate ? yield* this.executeStatement(node.alternate, scope) : undefined;
+
+      case 'BlockStatement':
+        return yield* this.executeBlock(node.body, scope);
+
+      case 'ForStatement':
+        return yield* this.executeFor(node, scope);
+
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        return yield* this.executeForInOf(node, scope);
+
+      case 'WhileStatement':
+        return yield* this.executeLoop(node, scope, () => this.evaluate(node.test, scope), null);
+
+      case 'DoWhileStatement':
+        return yield* this.executeLoop(node, scope, () => this.evaluate(node.test, scope), null, true);
+
+      case 'BreakStatement':
+        return completion('break', undefined, node.label ? node.label.name : null);
+
+      case 'ContinueStatement':
+        return completion('continue', undefined, node.label ? node.label.name : null);
+
+      case 'ThrowStatement':
+        throw yield* this.evaluate(node.argument, scope);
+
+      case 'TryStatement':
+        return yield* this.executeTry(node, scope);
+
+      case 'SwitchStatement':
+        return yield* this.executeSwitch(node, scope);
+
+      case 'LabeledStatement': {
+        this.labels.set(node.body, node.label.name);
+        const result = yield* this.executeStatement(node.body, scope);
+        if (result && result.type === 'break' && result.label === node.label.name) {
+          return undefined;
+        }
+        return result;
+      }
+
+      default:
+        throw new SyntaxError(`Unsupported statement: ${node.type}`);
+    }
+  }
+
+  // Run a loop body, handling break/continue (optionally labelled)
+  *runLoopBody(body, scope, label) {
+    const result = yield* this.executeStatement(body, scope);
+    if (!result) {
+      return { done: false };
+    }
+    if (result.type === 'break' && (!result.label || result.label === label)) {
+      return { done: true };
+    }
+    if (result.type === 'continue' && (!result.label || result.label === label)) {
+      return { done: false };
+    }
+    return { done: true, result };
+  }
+
+  getLoopLabel(node) {
+    return this.labels.get(node) || null;
+  }
+
+  // Called before each iteration; every run of a loop starts counting at 1
+  checkLoopBudget(node, iteration) {
+    if (iteration > this.budgets.maxLoopIterations) {
+      throw new BudgetExceededError('maxLoopIterations', this.budgets.maxLoopIterations, node.loc.start.line);
+    }
+  }
+
+  *executeLoop(node, scope, test, update, testAfterBody = false) {
+    const label = this.getLoopLabel(node);
+    let iteration = 0;
+    if (testAfterBody) {
+      do {
+        this.checkLoopBudget(node, ++iteration);
+        const { done, result } = yield* this.runLoopBody(node.body, scope, label);
+        if (done) {
+          return result;
+        }
+      } while (yield* test());
+      return undefined;
+    }
+    while (yield* test()) {
+      this.checkLoopBudget(node, ++iteration);
+      const { done, result } = yield* this.runLoopBody(node.body, scope, label);
+      if (done) {
+        return result;
+      }
+      if (update) {
+        yield* update();
+      }
+    }
+    return undefined;
+  }
+
+  *executeFor(node, scope) {
+    const label = this.getLoopLabel(node);
+    const isLexical = node.init && node.init.type === 'VariableDeclaration' && node.init.kind !== 'var';
+    let iterationScope = new Scope(scope, 'block');
+    let iteration = 0;
+
+    if (node.init) {
+      if (node.init.type === 'VariableDeclaration') {
+        this.hoistDeclarations([node.init], iterationScope, this.getFunctionScope(scope));
+        yield* this.executeStatement(node.init, iterationScope);
+      } else {
+        yield* this.evaluate(node.init, iterationScope);
+      }
+    }
+
+    // Each iteration gets its own copy of let bindings, which is what
+    // makes closures created in the body see that iteration's value
+    while (!node.test || (yield* this.evaluate(node.test, iterationScope))) {
+      this.checkLoopBudget(node, ++iteration);
+      const { done, result } = yield* this.runLoopBody(node.body, iterationScope, label);
+      if (done) {
+        return result;
+      }
+      if (isLexical) {
+        iterationScope = iterationScope.copy();
+      }
+      if (node.update) {
+        yield* this.evaluate(node.update, iterationScope);
+      }
+    }
+    return undefined;
+  }
+
+  *executeForInOf(node, scope) {
+    const label = this.getLoopLabel(node);
+    const collection = yield* this.evaluate(node.right, scope);
+    let items;
+    if (node.type === 'ForInStatement') {
+      items = [];
+      if (collection !== null && collection !== undefined) {
+        for (const key in collection) {
+          items.push(key);
+        }
+      }
+    } else {
+      items = this.iterate(collection);
+    }
+
+    let iteration = 0;
+    for (const item of items) {
+      this.checkLoopBudget(node, ++iteration);
+      const iterationScope = new Scope(scope, 'block');
+      if (node.left.type === 'VariableDeclaration') {
+        const declarator = node.left.declarations[0];
+        if (node.left.kind !== 'var') {
+          this.collectPatternNames(declarator.id).forEach(name => iterationScope.declare(name, node.left.kind));
+        }
+        yield* this.bindPattern(declarator.id, item, iterationScope, node.left.kind);
+      } else {
+        yield* this.bindPattern(node.left, item, iterationScope);
+      }
+      const { done, result } = yield* this.runLoopBody(node.body, iterationScope, label);
+      if (done) {
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  *executeTry(node, scope) {
+    let result;
+    let thrown = null;
+    let didThrow = false;
+
+    try {
+      result = yield* this.executeStatement(node.block, scope);
+    } catch (error) {
+      if (this.isUncatchable(error)) {
+        throw error;
+      }
+      if (node.handler) {
+        try {
+          result = yield* this.executeCatchClause(node.handler, error, scope);
+        } catch (catchError) {
+          if (this.isUncatchable(catchError)) {
+            throw catchError;
+          }
+          didThrow = true;
+          thrown = catchError;
+        }
+      } else {
+        didThrow = true;
+        thrown = error;
+      }
+    }
+
+    // A completion from finally (return/break) overrides whatever the
+    // try or catch block produced, including a pending exception
+    if (node.finalizer) {
+      const finalResult = yield* this.executeStatement(node.finalizer, scope);
+      if (isCompletion(finalResult)) {
+        return finalResult;
+      }
+    }
+    if (didThrow) {
+      throw thrown;
+    }
+    return result;
+  }
+
+  *executeCatchClause(handler, error, scope) {
+    const catchScope = new Scope(scope, 'catch');
+    if (handler.param) {
+      this.collectPatternNames(handler.param).forEach(name => catchScope.declare(name, 'let'));
+      yield* this.bindPattern(handler.param, error, catchScope, 'let');
+    }
+    return yield* this.executeStatement(handler.body, catchScope);
+  }
+
+  // Errors raised by the simulator itself must not be swallowed by user code
+  isUncatchable(error) {
+    return Boolean(error && error.uncatchable);
+  }
+
+  *executeSwitch(node, scope) {
+    const discriminant = yield* this.evaluate(node.discriminant, scope);
+    const switchScope = new Scope(scope, 'block');
+    const statements = node.cases.flatMap(switchCase => switchCase.consequent);
+    this.hoistDeclarations(statements, switchScope, this.getFunctionScope(scope));
+
+    let matched = -1;
+    for (const [index, switchCase] of node.cases.entries()) {
+      if (switchCase.test && (yield* this.evaluate(switchCase.test, switchScope)) === discriminant) {
+        matched = index;
+        break;
+      }
+    }
+    if (matched === -1) {
+      matched = node.cases.findIndex(switchCase => !switchCase.test);
+    }
+    if (matched === -1) {
+      return undefined;
+    }
+
+    for (const switchCase of node.cases.slice(matched)) {
+      const result = yield* this.executeStatements(switchCase.consequent, switchScope);
+      if (result && result.type === 'break' && !result.label) {
+        return undefined;
+      }
+      if (isCompletion(result)) {
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  // Expressions
+
+  // Evaluate with a name for anonymous functions and classes (`const f = () => {}`)
+  *evaluateNamed(node, scope, name) {
+    if (name && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') && !node.id) {
+      return this.createFunction(node, scope, name);
+    }
+    if (name && node.type === 'ClassExpression' && !node.id) {
+      return yield* this.evaluateClass(node, scope, name);
+    }
+    return yield* this.evaluate(node, scope);
+  }
+
+  *evaluate(node, scope) {
+    switch (node.type) {
+      case 'Literal':
+        if (node.regex) {
+          return new RegExp(node.regex.pattern, node.regex.flags);
+        }
+        return node.value;
+
+      case 'Identifier':
+        return scope.get(node.name);
+
+      case 'ThisExpression': {
+        const thisScope = scope.getThisScope();
+        if (!thisScope) {
+          return undefined;
+        }
+        if (thisScope.thisValue === UNINITIALIZED) {
+          throw new ReferenceError("Must call super constructor in derived class before accessing 'this'");
+        }
+        return thisScope.thisValue;
+      }
+
+      case 'TemplateLiteral': {
+        let text = '';
+        for (const [index, quasi] of node.quasis.entries()) {
+          const expression = node.expressions[index];
+          text += quasi.value.cooked + (expression ? String(yield* this.evaluate(expression, scope)) : '');
+        }
+        return text;
+      }
+
+      case 'TaggedTemplateExpression': {
+        const { quasi } = node;
+        const strings = quasi.quasis.map(element => element.value.cooked);
+        strings.raw = quasi.quasis.map(element => element.value.raw);
+        const values = [];
+        for (const expression of quasi.expressions) {
+          values.push(yield* this.evaluate(expression, scope));
+        }
+        const { fn, thisArg } = yield* this.evaluateCallee(node.tag, scope);
+        return this.invoke(fn, thisArg, [strings, ...values], node.tag);
+      }
+
+      case 'ArrayExpression': {
+        const array = [];
+        for (const element of node.elements) {
+          if (!element) {
+            array.length += 1;
+          } else if (element.type === 'SpreadElement') {
+            array.push(...this.iterate(yield* this.evaluate(element.argument, scope)));
+          } else {
+            array.push(yield* this.evaluate(element, scope));
+          }
+        }
+        return array;
+      }
+
+      case 'ObjectExpression':
+        return yield* this.evaluateObject(node, scope);
+
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return this.evaluateFunctionExpression(node, scope);
+
+      case 'ClassExpression':
+        return yield* this.evaluateClass(node, scope);
+
+      case 'UnaryExpression':
+        return yield* this.evaluateUnary(node, scope);
+
+      case 'UpdateExpression': {
+        const oldValue = Number(yield* this.evaluate(node.argument, scope));
+        const newValue = node.operator === '++' ? oldValue + 1 : oldValue - 1;
+        yield* this.assignTo(node.argument, newValue, scope);
+        return node.prefix ? newValue : oldValue;
+      }
+
+      case 'BinaryExpression':
+        return this.applyOperator(
+          node.operator,
+          yield* this.evaluate(node.left, scope),
+          yield* this.evaluate(node.right, scope)
+        );
+
+      case 'LogicalExpression': {
+        const left = yield* this.evaluate(node.left, scope);
+        if (node.operator === '&&') {
+          return left ? yield* this.evaluate(node.right, scope) : left;
+        }
+        if (node.operator === '||') {
+          return left ? left : yield* this.evaluate(node.right, scope);
+        }
+        return left ?? (yield* this.evaluate(node.right, scope));
+      }
+
+      case 'ConditionalExpression':
+        return (yield* this.evaluate(node.test, scope))
+          ? yield* this.evaluate(node.consequent, scope)
+          : yield* this.evaluate(node.alternate, scope);
+
+      case 'AssignmentExpression':
+        return yield* this.evaluateAssignment(node, scope);
+
+      case 'SequenceExpression': {
+        let value;
+        for (const expression of node.expressions) {
+          value = yield* this.evaluate(expression, scope);
+        }
+        return value;
+      }
+
+      case 'MemberExpression': {
+        const object = yield* this.evaluateMemberObject(node, scope);
+        return this.getMember(object, yield* this.getPropertyKey(node, scope), scope, node);
+      }
+
+      case 'CallExpression':
+        return yield* this.evaluateCall(node, scope);
+
+      case 'NewExpression': {
+        const constructor = yield* this.evaluate(node.callee, scope);
+        const args = yield* this.evaluateArguments(node.arguments, scope);
+        if (typeof constructor !== 'function') {
+          throw new TypeError(`${this.describeNode(node.callee)} is not a constructor`);
+        }
+        this.currentNode = node;
+        return Reflect.construct(constructor, args);
+      }
+
+      // Suspend the async function; the driver resumes it with the outcome
+      case 'AwaitExpression': {
+        const value = yield* this.evaluate(node.argument, scope);
+        return yield { value, node };
+      }
+
+      default:
+        throw new SyntaxError(`Unsupported expression: ${node.type}`);
+    }
+  }
+
+  evaluateFunctionExpression(node, scope) {
+    if (!node.id || node.type === 'ArrowFunctionExpression') {
+      return this.createFunction(node, scope);
+    }
+    // Named function expressions can refer to themselves by name
+    const ownScope = new Scope(scope, 'block');
+    const fn = this.createFunction(node, ownScope);
+    ownScope.declare(node.id.name, 'const');
+    ownScope.initialize(node.id.name, fn);
+    return fn;
+  }
+
+  *evaluateObject(node, scope) {
+    const object = {};
+    for (const property of node.properties) {
+      if (property.type === 'SpreadElement') {
+        Object.assign(object, yield* this.evaluate(property.argument, scope));
+        continue;
+      }
+      const key = property.computed
+        ? yield* this.evaluate(property.key, scope)
+        : (property.key.name ?? property.key.value);
+
+      if (property.kind === 'get' || property.kind === 'set') {
+        const accessor = this.createFunction(property.value, scope, String(key), object);
+        const descriptor = Object.getOwnPropertyDescriptor(object, key) || { configurable: true, enumerable: true };
+        descriptor[property.kind] = accessor;
+        Object.defineProperty(object, key, descriptor);
+        continue;
+      }
+
+      const value = property.method
+        ? this.createFunction(property.value, scope, String(key), object)
+        : yield* this.evaluateNamed(property.value, scope, String(key));
+      Object.defineProperty(object, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    }
+    return object;
+  }
+
+  *evaluateUnary(node, scope) {
+    if (node.operator === 'typeof' && node.argument.type === 'Identifier'
+      && (!scope.has(node.argument.name) || scope.isBlocked(node.argument.name))) {
+      return 'undefined';
+    }
+    if (node.operator === 'delete') {
+      if (node.argument.type !== 'MemberExpression') {
+        return true;
+      }
+      const object = yield* this.evaluate(node.argument.object, scope);
+      return delete object[yield* this.getPropertyKey(node.argument, scope)];
+    }
+
+    const value = yield* this.evaluate(node.argument, scope);
+    switch (node.operator) {
+      case '-': return -value;
+      case '+': return +value;
+      case '!': return !value;
+      case '~': return ~value;
+      case 'typeof': return typeof value;
+      case 'void': return undefined;
+      default:
+        throw new SyntaxError(`Unsupported unary operator: ${node.operator}`);
+    }
+  }
+
+  applyOperator(operator, left, right) {
+    switch (operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case '**': return left ** right;
+      case '==': return left == right;
+      case '!=': return left != right;
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '<<': return left << right;
+      case '>>': return left >> right;
+      case '>>>': return left >>> right;
+      case '&': return left & right;
+      case '|': return left | right;
+      case '^': return left ^ right;
+      case 'in':
+        if (right === null || (typeof right !== 'object' && typeof right !== 'function')) {
+          throw new TypeError(`Cannot use 'in' operator to search for '${String(left)}' in ${right}`);
+        }
+        return left in right;
+      case 'instanceof':
+        if (typeof right !== 'function') {
+          throw new TypeError("Right-hand side of 'instanceof' is not callable");
+        }
+        return left instanceof right;
+      default:
+        throw new SyntaxError(`Unsupported operator: ${operator}`);
+    }
+  }
+
+  *evaluateAssignment(node, scope) {
+    if (node.operator === '=') {
+      const name = node.left.type === 'Identifier' ? node.left.name : null;
+      const value = yield* this.evaluateNamed(node.right, scope, name);
+      if (node.left.type === 'ObjectPattern' || node.left.type === 'ArrayPattern') {
+        yield* this.bindPattern(node.left, value, scope);
+      } else {
+        yield* this.assignTo(node.left, value, scope);
+      }
+      return value;
+    }
+
+    const operator = node.operator.slice(0, -1);
+    if (node.left.type === 'MemberExpression') {
+      const object = yield* this.evaluateMemberObject(node.left, scope);
+      const key = yield* this.getPropertyKey(node.left, scope);
+      const value = this.applyOperator(operator, this.getMember(object, key), yield* this.evaluate(node.right, scope));
+      this.setMember(object, key, value);
+      return value;
+    }
+    const value = this.applyOperator(operator, yield* this.evaluate(node.left, scope), yield* this.evaluate(node.right, scope));
+    yield* this.assignTo(node.left, value, scope);
+    return value;
+  }
+
+  *assignTo(target, value, scope) {
+    if (target.type === 'Identifier') {
+      scope.assign(target.name, value);
+    } else if (target.type === 'MemberExpression') {
+      const object = yield* this.evaluateMemberObject(target, scope);
+      this.setMember(object, yield* this.getPropertyKey(target, scope), value);
+    } else {
+      throw new SyntaxError('Invalid left-hand side in assignment');
+    }
+  }
+
+  // `super.x` reads from the prototype of the method's home object
+  *evaluateMemberObject(node, scope) {
+    if (node.object.type === 'Super') {
+      const thisScope = scope.getThisScope();
+      return Object.getPrototypeOf(thisScope.homeObject);
+    }
+    return yield* this.evaluate(node.object, scope);
+  }
+
+  *getPropertyKey(node, scope) {
+    return node.computed ? yield* this.evaluate(node.property, scope) : node.property.name;
+  }
+
+  getMember(object, key, scope = null, node = null) {
+    if (object === null || object === undefined) {
+      const target = node ? ` (reading '${String(key)}')` : '';
+      throw new TypeError(`Cannot read properties of ${object}${target}`);
+    }
+    if (node && node.object.type === 'Super') {
+      return Reflect.get(object, key, scope.getThisScope().thisValue);
+    }
+    return object[key];
+  }
+
+  setMember(object, key, value) {
+    if (object === null || object === undefined) {
+      throw new TypeError(`Cannot set properties of ${object} (setting '${String(key)}')`);
+    }
+    object[key] = value;
+  }
+
+  *evaluateArguments(nodes, scope) {
+    const args = [];
+    for (const node of nodes) {
+      if (node.type === 'SpreadElement') {
+        args.push(...this.iterate(yield* this.evaluate(node.argument, scope)));
+      } else {
+        args.push(yield* this.evaluate(node, scope));
+      }
+    }
+    return args;
+  }
+
+  // Resolve a callee together with the `this` value a call should receive
+  *evaluateCallee(callee, scope) {
+    if (callee.type === 'MemberExpression') {
+      const object = yield* this.evaluateMemberObject(callee, scope);
+      const fn = this.getMember(object, yield* this.getPropertyKey(callee, scope), scope, callee);
+      const thisArg = callee.object.type === 'Super' ? scope.getThisScope().thisValue : object;
+      return { fn, thisArg };
+    }
+    return { fn: yield* this.evaluate(callee, scope), thisArg: undefined };
+  }
+
+  *evaluateCall(node, scope) {
+    if (node.callee.type === 'Super') {
+      return yield* this.evaluateSuperCall(node, scope);
+    }
+    const { fn, thisArg } = yield* this.evaluateCallee(node.callee, scope);
+    const args = yield* this.evaluateArguments(node.arguments, scope);
+    return this.invoke(fn, thisArg, args, node.callee, node);
+  }
+
+  invoke(fn, thisArg, args, calleeNode, callNode = calleeNode) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`${this.describeNode(calleeNode)} is not a function`);
+    }
+    this.currentNode = callNode;
+    return fn.apply(thisArg, args);
+  }
+
+  *evaluateSuperCall(node, scope) {
+    const thisScope = scope.getThisScope();
+    if (thisScope.thisValue !== UNINITIALIZED) {
+      throw new ReferenceError('Super constructor may only be called once');
+    }
+    const args = yield* this.evaluateArguments(node.arguments, scope);
+    thisScope.thisValue = Reflect.construct(thisScope.superClass, args, thisScope.newTarget);
+    return undefined;
+  }
+
+  // Helpers
+
+  iterate(value) {
+    if (value === null || value === undefined || typeof value[Symbol.iterator] !== 'function') {
+      throw new TypeError(`${typeof value === 'object' ? 'object' : String(value)} is not iterable`);
+    }
+    return Array.from(value);
+  }
+
+  // Source-like description of a callee for error messages (`obj.method`)
+  describeNode(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'ThisExpression':
+        return 'this';
+      case 'MemberExpression':
+        return node.computed
+          ? `${this.describeNode(node.object)}[...]`
+          : `${this.describeNode(node.object)}.${node.property.name}`;
+      case 'CallExpression':
+        return `${this.describeNode(node.callee)}(...)`;
+      default:
+        return 'expression';
+    }
+  }
+
+  // Name of the user function behind a callback, for queue labels
+  getFunctionName(fn) {
+    if (typeof fn !== 'function') {
+      return 'anonymous';
+    }
+    return fn.name || 'anonymous';
+  }
+}
@@ -0,0 +1,863 @@
+// Async Capture
+// Runs user code on the real engine after rewriting its AST so that every
+// timer, microtask, promise reaction and await reports to a trace. The trace
+// uses the simulator's event format, so it replays through the same pipeline
+// and the panels show what the engine actually did.
+
+import * as esprima from 'esprima';
+import { createMiniDom } from './miniDom';
+import { createMockFetch } from './mockFetch';
+import { TRACE_EVENTS } from './traceEvents';
+import { resolveBudgets, describeBudget, BudgetExceededError, createCheckpointCounter } from './executionBudgets';
+import { createApiPolicy } from './apiPolicy';
+import { createConsoleApi, CONSOLE_METHODS } from './consoleApi';
+import { TASK_TYPES, MICROTASK_SOURCES } from '../store/eventLoopSlice';
+
+// Name of the hook object the instrumented code calls into
+const HOOK = '__capture';
+
+// Host APIs routed through the hooks, both as call sites and as bindings
+const HOOKED_APIS = [
+  'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'queueMicrotask',
+  'requestAnimationFrame', 'cancelAnimationFrame'
+];
+const REACTION_METHODS = ['then', 'catch', 'finally'];
+const LOOP_TYPES = ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement'];
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// Wall-clock budget for a capture before pending timers are dropped
+const DEFAULT_TIME_LIMIT = 10000;
+
+// Lines before the user's code: the parameters and the brace that `new
+// Function` puts there, then the strict mode directive
+const FUNCTION_HEADER_LINES = 3;
+
+// Sloppy mode code would get the host's global object as `this`, at the top
+// level and in plain function calls, and reach past the API policy with it
+const STRICT_DIRECTIVE = "'use strict';\n";
+
+// Host timers, kept aside so the hooks can schedule the real callbacks
+const hostSetTimeout = (...args) => globalThis.setTimeout(...args);
+const hostSetInterval = (...args) => globalThis.setInterval(...args);
+const hostClearTimeout = (handle) => globalThis.clearTimeout(handle);
+// Frames fall back to a 16ms timer where the host has no rendering loop
+const hostRequestFrame = (callback) => (
+  typeof globalThis.requestAnimationFrame === 'function'
+    ? globalThis.requestAnimationFrame(callback)
+    : hostSetTimeout(() => callback(performance.now()), 16)
+);
+const hostCancelFrame = (handle) => (
+  typeof globalThis.cancelAnimationFrame === 'function'
+    ? globalThis.cancelAnimationFrame(handle)
+    : hostClearTimeout(handle)
+);
+
+// Every name a free identifier could resolve to on the host's global object
+const hostGlobalNames = () => {
+  const names = new Set();
+  for (let target = globalThis; target && target !== Object.prototype; target = Object.getPrototypeOf(target)) {
+    Object.getOwnPropertyNames(target).forEach(name => names.add(name));
+  }
+  return names;
+};
+
+// Names that may not be parameters of a strict mode function
+const UNBINDABLE_NAMES = ['eval', 'arguments'];
+
+// Stand-ins handed out for blocked globals
+const blockedGlobals = new WeakSet();
+
+// Stand-in bound to a global the API policy blocks: using it in any way
+// throws the policy's error
+const createBlockedGlobal = (name, policy) => {
+  const fail = () => {
+    throw policy.blockedGlobalError(name);
+  };
+  const standIn = new Proxy(function blocked() {}, {
+    get: fail,
+    set: fail,
+    has: fail,
+    apply: fail,
+    construct: fail,
+    deleteProperty: fail,
+    defineProperty: fail,
+    ownKeys: fail,
+    getOwnPropertyDescriptor: fail
+  });
+  blockedGlobals.add(standIn);
+  return standIn;
+};
+
+const isNode = (value) => value !== null && typeof value === 'object' && typeof value.type === 'string';
+
+const describeHandler = (handler) => (
+  typeof handler === 'function' && handler.name ? handler.name : 'anonymous'
+);
+
+// Visit every node, parents before children
+const walk = (node, visit) => {
+  visit(node);
+  Object.keys(node).forEach(key => {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => isNode(item) && walk(item, visit));
+    } else if (isNode(child)) {
+      walk(child, visit);
+    }
+  });
+};
+
+// Rewrite code so the hooked APIs report to `__capture`. Edits are spliced
+// into the original source at node ranges, which keeps every line where the
+// user wrote it. Loops and plain functions also report each iteration and
+// call, for the execution budgets. Parse errors are thrown. Returns the
+// rewritten source and `locate`, which maps a 1-based line and column in it
+// back to the original code.
+export function instrumentCode(code) {
+  const ast = esprima.parseScript(code, { range: true, loc: true });
+  const edits = [];
+  const open = (position, text) => edits.push({ start: position, end: position, text, rank: 0, seq: edits.length });
+  const close = (position, text) => edits.push({ start: position, end: position, text, rank: -1, seq: -edits.length });
+  const replace = (start, end, text) => edits.push({ start, end, text, rank: 1, seq: edits.length });
+
+  // The last expression statement becomes the script's result
+  const last = ast.body[ast.body.length - 1];
+  if (last && last.type === 'ExpressionStatement') {
+    open(last.expression.range[0], 'return (');
+    close(last.expression.range[1], ')');
+  }
+
+  // Where the block that resets a loop's iteration count opens: before the
+  // loop, or before its outermost label so the labels still name the loop
+  const loopStarts = new Map();
+
+  walk(ast, node => {
+    const line = node.loc.start.line;
+
+    if (node.type === 'LabeledStatement') {
+      loopStarts.set(node.body, loopStarts.has(node) ? loopStarts.get(node) : node.range[0]);
+      return;
+    }
+    if (LOOP_TYPES.includes(node.type)) {
+      const id = node.range[0];
+      open(loopStarts.has(node) ? loopStarts.get(node) : id, `{ ${HOOK}.loopStart(${id}); `);
+      close(node.range[1], ' }');
+      if (node.body.type === 'BlockStatement') {
+        open(node.body.range[0] + 1, ` ${HOOK}.loop(${id}, ${line});`);
+      } else {
+        open(node.body.range[0], `{ ${HOOK}.loop(${id}, ${line}); `);
+        close(node.body.range[1], ' }');
+      }
+      return;
+    }
+    // Async functions and generators stay on the depth count while they are
+    // suspended, so only plain functions are counted; the engine's own limit
+    // still applies to the rest. A body with no statements cannot recurse.
+    if (FUNCTION_TYPES.includes(node.type) && !node.async && !node.generator) {
+      if (node.body.type === 'BlockStatement') {
+        const directives = node.body.body.filter(statement => statement.directive);
+        if (directives.length < node.body.body.length) {
+          const start = directives.length > 0 ? directives[directives.length - 1].range[1] : node.body.range[0] + 1;
+          open(start, ` ${HOOK}.enter(${line}); try {`);
+          close(node.body.range[1] - 1, `} finally { ${HOOK}.exit(); }`);
+        }
+      } else {
+        // The concise body may sit in parentheses outside its own range
+        const params = node.params.length > 0 ? node.params[node.params.length - 1].range[1] : node.range[0];
+        const arrow = code.indexOf('=>', params);
+        open(arrow + 2, ` { ${HOOK}.enter(${line}); try { return (`);
+        close(node.range[1], `); } finally { ${HOOK}.exit(); } }`);
+      }
+      return;
+    }
+    // A stopped run must not carry on from a catch or finally block
+    if (node.type === 'TryStatement') {
+      if (node.handler) {
+        open(node.handler.body.range[0] + 1, ` ${HOOK}.check();`);
+      }
+      if (node.finalizer) {
+        open(node.finalizer.range[0] + 1, ` ${HOOK}.check();`);
+      }
+      return;
+    }
+
+    // The real debugger would freeze the capture; the replay pauses instead
+    if (node.type === 'DebuggerStatement') {
+      replace(node.range[0], node.range[1], `${HOOK}.debugger(${line});`);
+      return;
+    }
+    if (node.type === 'AwaitExpression') {
+      const sequence = node.argument.type === 'SequenceExpression';
+      open(node.argument.range[0], `${HOOK}.await(${sequence ? '(' : ''}`);
+      close(node.argument.range[1], `${sequence ? ')' : ''}, ${line})`);
+      return;
+    }
+    // A global the API policy blocks is a stand-in function, which typeof
+    // reports as missing, the way the simulator does
+    if (node.type === 'UnaryExpression' && node.operator === 'typeof' && node.argument.type === 'Identifier') {
+      const { name } = node.argument;
+      replace(node.range[0], node.range[1], `(typeof ${name} === 'function' && ${HOOK}.isBlocked(${name}) ? 'undefined' : typeof ${name})`);
+      return;
+    }
+    if (node.type !== 'CallExpression') {
+      return;
+    }
+
+    const { callee } = node;
+    if (callee.type === 'Identifier' && HOOKED_APIS.includes(callee.name)) {
+      replace(callee.range[0], callee.range[1], `${HOOK}.api('${callee.name}', ${line})`);
+    } else if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type !== 'Super') {
+      const method = callee.property.name;
+      if (callee.object.type === 'Identifier' && callee.object.name === 'console' && CONSOLE_METHODS.includes(method)) {
+        replace(callee.range[0], callee.range[1], `${HOOK}.console('${method}', ${line})`);
+      } else if (REACTION_METHODS.includes(method)) {
+        // promise.then(...) becomes __capture.reaction(promise, 'then', line)(...)
+        const dot = code.lastIndexOf('.', callee.property.range[0]);
+        open(callee.range[0], `${HOOK}.reaction(`);
+        replace(dot, callee.range[1], `, '${method}', ${line})`);
+      }
+    }
+  });
+
+  // Closing text at a position goes before opening text, inner before outer
+  edits.sort((a, b) => a.start - b.start || a.rank - b.rank || a.seq - b.seq);
+
+  // Each segment is a run of original text copied to the output; inserted
+  // text is a zero-length segment at the position it was spliced in
+  let output = '';
+  let cursor = 0;
+  const segments = [];
+  edits.forEach(edit => {
+    segments.push({ output: output.length, original: cursor, length: edit.start - cursor });
+    output += code.slice(cursor, edit.start);
+    segments.push({ output: output.length, original: edit.start, length: 0 });
+    output += edit.text;
+    cursor = edit.end;
+  });
+  segments.push({ output: output.length, original: cursor, length: code.length - cursor });
+  output += code.slice(cursor);
+
+  const lineStarts = (text) => [0, ...[...text.matchAll(/\n/g)].map(match => match.index + 1)];
+  const outputLines = lineStarts(output);
+  const originalLines = lineStarts(code);
+
+  const locate = (line, column) => {
+    const offset = (outputLines[line - 1] || 0) + column - 1;
+    const segment = segments.reduce((found, candidate) => (candidate.output <= offset ? candidate : found), segments[0]);
+    const original = segment.original + Math.min(offset - segment.output, segment.length);
+    const originalLine = originalLines.filter(start => start <= original).length;
+    return { lineNumber: originalLine, column: original - originalLines[originalLine - 1] + 1 };
+  };
+
+  return { source: output, locate };
+}
+
+export class AsyncCapture {
+  // `formatter` turns values into console text, shared with the simulator
+  constructor(formatter) {
+    this.formatter = formatter;
+    // Called with each trace event as it is recorded, to stream a run
+    this.onEvent = null;
+    this.reset();
+  }
+
+  // Host timers a stopped run left behind are cleared, so they cannot fire
+  // into the next capture
+  reset() {
+    if (this.timers) {
+      this.clearHostTimers();
+    }
+    this.startTime = 0;
+    this.nextTaskId = 1;
+    this.trace = [];
+    this.logs = [];
+    this.errors = [];
+    this.timers = new Map();
+    this.pendingMicrotasks = new Map();
+    this.currentTask = null;
+    this.implicitTask = null;
+    this.debuggerLine = null;
+    this.budgets = resolveBudgets();
+    this.apiPolicy = createApiPolicy();
+    this.tasksRun = 0;
+    this.timersStarted = 0;
+    this.callDepth = 0;
+    this.loopIterations = new Map();
+    this.halted = null;
+    this.checkpoint = null;
+    this.locate = null;
+    this.consoleLine = null;
+  }
+
+  get elapsed() {
+    return Math.round(performance.now() - this.startTime);
+  }
+
+  // Line of the task running right now, for calls made through aliases
+  get currentLine() {
+    return this.currentTask ? this.currentTask.lineNumber : 1;
+  }
+
+  // Run instrumented code on the host engine until no timer or microtask is
+  // left pending or the time limit is hit. Resolves with the same shape as
+  // the simulator.
+  async run(code, { timeLimit = DEFAULT_TIME_LIMIT, fetchFixtures = [], budgets, apiPolicy } = {}) {
+    this.reset();
+    this.budgets = resolveBudgets(budgets);
+    this.apiPolicy = createApiPolicy(apiPolicy);
+    const { source, locate } = instrumentCode(code);
+    this.locate = locate;
+    const hooks = this.createHooks();
+    // The mini DOM stands in for the page, so observers report to the trace,
+    // and fetch answers from the fixtures instead of the network
+    const scheduler = this.createScheduler();
+    const { document, MutationObserver } = createMiniDom(scheduler);
+    const { fetch, Response } = createMockFetch(scheduler, { Promise, fixtures: fetchFixtures });
+    const bindings = this.createBindings({
+      ...Object.fromEntries(HOOKED_APIS.map(name => [name, hooks.api(name)])),
+      console: this.createConsole(),
+      document: this.apiPolicy.guardMembers('document', document),
+      MutationObserver,
+      fetch,
+      Response
+    });
+    const program = new Function(HOOK, ...bindings.keys(), STRICT_DIRECTIVE + source);
+    this.startTime = performance.now();
+
+    let result;
+    const script = this.createTask(TASK_TYPES.SYNCHRONOUS, 'Main script', { lineNumber: 1 });
+    this.runJob(script, 'callStack', () => {
+      result = program.call(undefined, hooks, ...bindings.values());
+    });
+    this.record(TRACE_EVENTS.CHECKPOINT, { pending: this.pendingMicrotasks.size });
+
+    // The script's checkpoint drains first, since its microtasks may start
+    // timers. Jobs the engine still holds after a stop never run, so only a
+    // run that goes on waits for them.
+    await new Promise(resolve => hostSetTimeout(resolve, 0));
+    while (!this.halted && (this.timers.size > 0 || this.pendingMicrotasks.size > 0)) {
+      if (this.elapsed >= timeLimit) {
+        this.stopTimers(timeLimit);
+        break;
+      }
+      await new Promise(resolve => hostSetTimeout(resolve, 10));
+    }
+    // One more host task, so the last microtask checkpoint has drained
+    await new Promise(resolve => hostSetTimeout(resolve, 0));
+
+    this.endImplicitTask();
+    this.record(TRACE_EVENTS.DONE);
+
+    return {
+      result,
+      trace: this.trace,
+      logs: this.logs,
+      errors: this.errors,
+      duration: this.elapsed
+    };
+  }
+
+  // Parameters the instrumented code runs with. Globals the API policy
+  // allows keep their value; every other global the host has, or the policy
+  // knows of, is shadowed by a stand-in that throws. This keeps ordinary
+  // code to the policy but is no sandbox: the worker is what isolates user
+  // code from the page.
+  createBindings(provided) {
+    const { allows, blocked } = this.apiPolicy;
+    const bindings = new Map(Object.entries(provided).map(([name, value]) => (
+      [name, allows(name) ? value : createBlockedGlobal(name, this.apiPolicy)]
+    )));
+    [...hostGlobalNames(), ...blocked].forEach(name => {
+      if (!allows(name) && !bindings.has(name) && name !== HOOK
+        && !UNBINDABLE_NAMES.includes(name) && /^[A-Za-z_$][\w$]*$/.test(name)) {
+        bindings.set(name, createBlockedGlobal(name, this.apiPolicy));
+      }
+    });
+    return bindings;
+  }
+
+  clearHostTimers() {
+    this.timers.forEach(timer => (timer.kind === 'frame' ? hostCancelFrame : hostClearTimeout)(timer.handle));
+    this.timers.clear();
+  }
+
+  // Drop timers that outlived the budget, e.g. a setInterval never cleared
+  stopTimers(timeLimit) {
+    this.timers.forEach((timer, id) => this.record(TRACE_EVENTS.CANCEL, { taskId: id }));
+    this.clearHostTimers();
+    const message = `Capture stopped after ${timeLimit}ms with timers still pending`;
+    this.errors.push(message);
+    this.record(TRACE_EVENTS.ERROR, { taskId: null, message, lineNumber: this.currentLine, stopped: true });
+  }
+
+  // A spent budget stops the capture: host timers are cleared, and jobs the
+  // engine already queued are skipped when they come up. Returns the error
+  // so hooks can throw it through user code.
+  stopOnBudget(error) {
+    this.halted = error;
+    this.errors.push(error.message);
+    this.record(TRACE_EVENTS.BUDGET, error.details);
+    this.clearHostTimers();
+    return error;
+  }
+
+  // User code that caught the budget error gets it again at its next hook
+  checkHalted() {
+    if (this.halted) {
+      throw this.halted;
+    }
+  }
+
+  // Object the instrumented code calls into
+  createHooks() {
+    return {
+      // Call sites of hooked APIs skip their bindings, so the policy is
+      // checked here as well
+      api: (name, line) => (...args) => {
+        this.checkHalted();
+        if (!this.apiPolicy.allows(name)) {
+          throw this.apiPolicy.blockedGlobalError(name);
+        }
+        return this[name](line, ...args);
+      },
+      console: (method, line) => (...args) => {
+        this.checkHalted();
+        return this.callConsole(method, line, args);
+      },
+      reaction: (target, method, line) => (...args) => {
+        this.checkHalted();
+        return this.registerReaction(target, method, line, args);
+      },
+      await: (value, line) => {
+        this.checkHalted();
+        return this.registerAwait(value, line);
+      },
+      debugger: (line) => {
+        if (this.debuggerLine === null) {
+          this.debuggerLine = line;
+        }
+      },
+      check: () => this.checkHalted(),
+      isBlocked: (value) => blockedGlobals.has(value),
+      loopStart: (id) => {
+        this.checkHalted();
+        this.loopIterations.set(id, 0);
+      },
+      loop: (id, line) => {
+        this.checkHalted();
+        const iteration = this.loopIterations.get(id) + 1;
+        this.loopIterations.set(id, iteration);
+        if (iteration > this.budgets.maxLoopIterations) {
+          throw this.stopOnBudget(new BudgetExceededError('maxLoopIterations', this.budgets.maxLoopIterations, line));
+        }
+      },
+      // The depth budget throws the engine's RangeError, which user code may catch
+      enter: (line) => {
+        this.checkHalted();
+        if (this.callDepth >= this.budgets.maxCallDepth) {
+          this.record(TRACE_EVENTS.BUDGET, describeBudget('maxCallDepth', this.budgets.maxCallDepth, line));
+          throw new RangeError('Maximum call stack size exceeded');
+        }
+        this.callDepth += 1;
+      },
+      exit: () => {
+        this.callDepth -= 1;
+      }
+    };
+  }
+
+  // Microtask queueing and error reporting for the mini DOM
+  createScheduler() {
+    const capture = this;
+    return {
+      get currentLine() {
+        return capture.currentLine;
+      },
+      enqueueMicrotask: (callback, { type, description, lineNumber }) => (
+        capture.scheduleMicrotask(type, description, lineNumber, callback)
+      ),
+      reportError: (error) => capture.reportError(error, capture.currentTask),
+      startRequest: (request) => capture.startRequest(request)
+    };
+  }
+
+  // Console calls rewritten at their call site pass their line through
+  // `consoleLine`; calls through an alias fall back to the task's line
+  createConsole() {
+    this.console = createConsoleApi({
+      write: (entry) => {
+        this.logs.push({ type: entry.level, message: entry.message, time: this.elapsed });
+        this.record(TRACE_EVENTS.CONSOLE, { ...entry, lineNumber: this.consoleLine || this.currentLine });
+      },
+      now: () => performance.now(),
+      formatArgs: (args) => this.formatter.formatConsoleArgs(args),
+      inspect: (value) => this.formatter.formatValue(value),
+      snapshot: (value) => this.formatter.snapshotValue(value),
+      captureStack: () => this.captureStack()
+    });
+    return this.console;
+  }
+
+  callConsole(method, line, args) {
+    this.consoleLine = line;
+    try {
+      return this.console[method](...args);
+    } finally {
+      this.consoleLine = null;
+    }
+  }
+
+  // User frames of the host stack, innermost first, at their original lines.
+  // The program itself shows up as "eval" in V8 and without a name in Firefox.
+  captureStack() {
+    return new Error().stack.split('\n').flatMap(frame => {
+      const match = frame.match(/^\s*(?:at\s+)?(?:([^\s(@]+)\s*[(@])?.*(?:<anonymous>|> Function):(\d+):(\d+)\)?$/);
+      if (!match) {
+        return [];
+      }
+      const { lineNumber } = this.locate(Number(match[2]) - FUNCTION_HEADER_LINES, Number(match[3]));
+      const name = !match[1] || match[1] === 'eval' ? '<anonymous>' : match[1];
+      return [{ name, lineNumber }];
+    });
+  }
+
+  // Run one host job as a trace task. Errors thrown by promise handlers
+  // belong to the derived promise, so those are rethrown instead of logged.
+  runJob(task, queue, body, { rethrow = false } = {}) {
+    if (!this.startTask(task, queue)) {
+      return undefined;
+    }
+    this.endImplicitTask();
+    this.pendingMicrotasks.delete(task.id);
+    this.currentTask = task;
+    this.record(TRACE_EVENTS.TASK_START, { queue, task: this.toTraceTask(task) });
+    try {
+      return body();
+    } catch (error) {
+      if (error === this.halted) {
+        return undefined;
+      }
+      if (rethrow) {
+        throw error;
+      }
+      this.reportError(error, task);
+      return undefined;
+    } finally {
+      this.record(TRACE_EVENTS.TASK_END, { taskId: task.id });
+      this.currentTask = null;
+    }
+  }
+
+  // An await continuation has no callback to wrap, so its task starts when
+  // observed and ends when the next job starts
+  startImplicitTask(task) {
+    if (!this.startTask(task, 'microtaskQueue')) {
+      return;
+    }
+    this.endImplicitTask();
+    this.pendingMicrotasks.delete(task.id);
+    this.implicitTask = task;
+    this.currentTask = task;
+    this.record(TRACE_EVENTS.TASK_START, { queue: 'microtaskQueue', task: this.toTraceTask(task) });
+  }
+
+  // Whether a job may run: not once the capture has stopped, nor past the
+  // task budget or the starvation threshold, which stop it
+  startTask(task, queue) {
+    if (this.halted) {
+      return false;
+    }
+    this.tasksRun += 1;
+    if (this.tasksRun > this.budgets.maxTasks) {
+      this.stopOnBudget(new BudgetExceededError('maxTasks', this.budgets.maxTasks, task.lineNumber));
+      return false;
+    }
+    return this.countCheckpointTask(task, queue);
+  }
+
+  // The engine runs every microtask between two tasks in one checkpoint. A
+  // microtask that keeps queueing microtasks holds it open; once it has
+  // drained more than the starvation threshold this is reported and the
+  // capture stops. Returns whether the job may run.
+  countCheckpointTask(task, queue) {
+    if (queue !== 'microtaskQueue') {
+      this.checkpoint = createCheckpointCounter(this.budgets.starvationThreshold);
+      return true;
+    }
+    if (!this.checkpoint.admit(task)) {
+      this.reportStarvation();
+      this.stopOnBudget(new BudgetExceededError('starvationThreshold', this.budgets.starvationThreshold, task.lineNumber));
+      return false;
+    }
+    return true;
+  }
+
+  // The job about to run is still among the pending microtasks
+  reportStarvation() {
+    const pending = [...this.timers.values()];
+    this.record(TRACE_EVENTS.STARVATION, this.checkpoint.describeStarvation([...this.pendingMicrotasks.values()], {
+      tasks: pending.filter(timer => timer.kind !== 'frame' && timer.dueTime <= this.elapsed).length,
+      render: pending.some(timer => timer.kind === 'frame')
+    }));
+  }
+
+  reportError(error, task) {
+    const message = this.formatter.formatError(error);
+    this.errors.push(message);
+    this.record(TRACE_EVENTS.ERROR, {
+      taskId: task ? task.id : null,
+      message,
+      lineNumber: task ? task.lineNumber : this.currentLine,
+      ...this.locateError(error)
+    });
+  }
+
+  // Where user code threw, from the innermost stack frame in the program
+  // (V8 calls it <anonymous>, Firefox "> Function"), past the program's
+  // header lines. Errors without a stack keep the task's line.
+  locateError(error) {
+    const frame = error instanceof Error && typeof error.stack === 'string'
+      && error.stack.match(/(?:<anonymous>|> Function):(\d+):(\d+)/);
+    if (!frame || !this.locate) {
+      return {};
+    }
+    return this.locate(Number(frame[1]) - FUNCTION_HEADER_LINES, Number(frame[2]));
+  }
+
+  endImplicitTask() {
+    if (this.implicitTask) {
+      this.record(TRACE_EVENTS.TASK_END, { taskId: this.implicitTask.id });
+      this.implicitTask = null;
+      this.currentTask = null;
+    }
+  }
+
+  createTask(type, description, { lineNumber = this.currentLine, delay = 0 } = {}) {
+    return {
+      id: this.nextTaskId++,
+      type,
+      description,
+      delay,
+      lineNumber
+    };
+  }
+
+  toTraceTask(task) {
+    return {
+      id: task.id,
+      type: task.type,
+      description: task.description,
+      delay: task.delay,
+      lineNumber: task.lineNumber,
+      source: task.source || null
+    };
+  }
+
+  enqueueMicrotask(type, description, line) {
+    return this.addToMicrotaskQueue(this.createMicrotask(type, description, line));
+  }
+
+  // A microtask, credited to the task that is running now, that is not
+  // queued yet
+  createMicrotask(type, description, line) {
+    const task = this.createTask(type, description, { lineNumber: line });
+    task.source = MICROTASK_SOURCES[type];
+    task.queuedBy = this.currentTask ? this.currentTask.id : null;
+    return task;
+  }
+
+  addToMicrotaskQueue(task) {
+    this.pendingMicrotasks.set(task.id, task);
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'microtaskQueue', task: this.toTraceTask(task) });
+    return task;
+  }
+
+  // A reaction's job is queued when its promise settles. The engine does not
+  // expose that moment, so the reaction enters the queue when its job starts,
+  // right before it runs; a promise that never settles queues nothing.
+  queueSettledReaction(task) {
+    if (!this.halted) {
+      this.addToMicrotaskQueue(task);
+    }
+  }
+
+  registerReaction(target, method, line, args) {
+    if (!(target instanceof Promise)) {
+      return target[method](...args);
+    }
+
+    if (method === 'finally') {
+      const [onFinally] = args;
+      if (typeof onFinally !== 'function') {
+        return target.finally(onFinally);
+      }
+      const task = this.createMicrotask(TASK_TYPES.PROMISE, `Promise.finally callback: ${describeHandler(onFinally)}`, line);
+      return target.finally(() => {
+        this.queueSettledReaction(task);
+        return this.runJob(task, 'microtaskQueue', onFinally, { rethrow: true });
+      });
+    }
+
+    // catch(f) is then(undefined, f); missing handlers pass the value through
+    // in a job of their own, exactly as the engine would
+    const [onFulfilled, onRejected] = method === 'catch' ? [undefined, args[0]] : args;
+    const handler = method === 'catch' ? onRejected : onFulfilled;
+    const task = this.createMicrotask(TASK_TYPES.PROMISE, `Promise.${method} callback: ${describeHandler(handler)}`, line);
+    const wrap = (callback, fallback) => {
+      const body = typeof callback === 'function' ? callback : fallback;
+      return (value) => {
+        this.queueSettledReaction(task);
+        return this.runJob(task, 'microtaskQueue', () => body(value), { rethrow: true });
+      };
+    };
+    return target.then(
+      wrap(onFulfilled, value => value),
+      wrap(onRejected, reason => { throw reason; })
+    );
+  }
+
+  // Returns the promise the await adopts, made here once so a thenable's
+  // `then` is not called a second time by the await itself. The observer
+  // reaction is registered before the await's own, so it runs immediately
+  // before the continuation without adding a tick to the user's code. Like a
+  // reaction, the continuation is queued once the promise has settled.
+  registerAwait(value, line) {
+    const task = this.createMicrotask(TASK_TYPES.ASYNC_AWAIT, `await continuation (line ${line})`, line);
+    const resume = () => {
+      this.queueSettledReaction(task);
+      this.startImplicitTask(task);
+    };
+    const promise = Promise.resolve(value);
+    promise.then(resume, resume);
+    return promise;
+  }
+
+  setTimeout(line, callback, delay = 0, ...args) {
+    return this.startTimer(TASK_TYPES.SET_TIMEOUT, 'setTimeout', line, callback, delay, args);
+  }
+
+  setInterval(line, callback, delay = 0, ...args) {
+    return this.startTimer(TASK_TYPES.SET_INTERVAL, 'setInterval', line, callback, delay, args);
+  }
+
+  startTimer(type, api, line = this.currentLine, callback, delay, args) {
+    if (typeof callback !== 'function') {
+      throw new TypeError(`Failed to execute '${api}': parameter 1 is not of type 'Function'.`);
+    }
+    this.timersStarted += 1;
+    if (this.timersStarted > this.budgets.maxTimers) {
+      throw this.stopOnBudget(new BudgetExceededError('maxTimers', this.budgets.maxTimers, line));
+    }
+    const timeout = Math.max(0, Number(delay) || 0);
+    const task = this.createTask(type, `${api} callback: ${describeHandler(callback)} (${timeout}ms)`, {
+      lineNumber: line,
+      delay: timeout
+    });
+    const repeat = type === TASK_TYPES.SET_INTERVAL;
+    const fire = () => {
+      if (!repeat) {
+        this.timers.delete(task.id);
+      }
+      this.record(TRACE_EVENTS.CLOCK);
+      this.record(TRACE_EVENTS.TIMER_FIRED, { taskId: task.id, queue: 'callbackQueue' });
+      this.runJob(task, 'callbackQueue', () => callback(...args));
+      if (repeat && this.timers.has(task.id)) {
+        this.timers.get(task.id).dueTime = this.elapsed + timeout;
+        this.record(TRACE_EVENTS.ENQUEUE, { queue: 'webAPIs', task: this.toTraceTask(task), dueTime: this.elapsed + timeout });
+      }
+      this.record(TRACE_EVENTS.CHECKPOINT, { pending: this.pendingMicrotasks.size });
+    };
+
+    const handle = repeat ? hostSetInterval(fire, timeout) : hostSetTimeout(fire, timeout);
+    this.timers.set(task.id, { handle, kind: 'timer', dueTime: this.elapsed + timeout });
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'webAPIs', task: this.toTraceTask(task), dueTime: this.elapsed + timeout });
+    return task.id;
+  }
+
+  clearTimeout(line, id) {
+    const timer = this.timers.get(id);
+    if (timer && timer.kind === 'timer') {
+      hostClearTimeout(timer.handle);
+      this.timers.delete(id);
+      this.record(TRACE_EVENTS.CANCEL, { taskId: id });
+    }
+  }
+
+  clearInterval(line, id) {
+    this.clearTimeout(line, id);
+  }
+
+  // Requests count as pending timers too; the response settles the fetch
+  // promise from its own host task
+  startRequest({ url, method, latency, onResponse }) {
+    const task = this.createTask(TASK_TYPES.FETCH, `fetch ${method} ${url} (${latency}ms)`, { delay: latency });
+    const handle = hostSetTimeout(() => {
+      this.timers.delete(task.id);
+      this.record(TRACE_EVENTS.CLOCK);
+      this.record(TRACE_EVENTS.TIMER_FIRED, { taskId: task.id, queue: 'callbackQueue' });
+      this.runJob(task, 'callbackQueue', onResponse);
+      this.record(TRACE_EVENTS.CHECKPOINT, { pending: this.pendingMicrotasks.size });
+    }, latency);
+    this.timers.set(task.id, { handle, kind: 'request', dueTime: this.elapsed + latency });
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'webAPIs', task: this.toTraceTask(task), dueTime: this.elapsed + latency });
+  }
+
+  // Frame callbacks count as pending timers, so the run waits for them
+  requestAnimationFrame(line = this.currentLine, callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError("Failed to execute 'requestAnimationFrame' on 'Window': The callback provided as parameter 1 is not a function.");
+    }
+    const task = this.createTask(TASK_TYPES.ANIMATION_FRAME, `requestAnimationFrame callback: ${describeHandler(callback)}`, {
+      lineNumber: line
+    });
+    const handle = hostRequestFrame((frameTime) => {
+      this.timers.delete(task.id);
+      this.record(TRACE_EVENTS.CLOCK);
+      this.runJob(task, 'rafQueue', () => callback(frameTime));
+      this.record(TRACE_EVENTS.CHECKPOINT, { pending: this.pendingMicrotasks.size });
+    });
+    this.timers.set(task.id, { handle, kind: 'frame' });
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'rafQueue', task: this.toTraceTask(task) });
+    return task.id;
+  }
+
+  cancelAnimationFrame(line, id) {
+    const timer = this.timers.get(id);
+    if (timer && timer.kind === 'frame') {
+      hostCancelFrame(timer.handle);
+      this.timers.delete(id);
+      this.record(TRACE_EVENTS.CANCEL, { taskId: id });
+    }
+  }
+
+  queueMicrotask(line = this.currentLine, callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError("Failed to execute 'queueMicrotask': parameter 1 is not of type 'Function'.");
+    }
+    this.scheduleMicrotask(TASK_TYPES.QUEUE_MICROTASK, `queueMicrotask callback: ${describeHandler(callback)}`, line, callback);
+  }
+
+  // Queue a real microtask that runs as a trace task
+  scheduleMicrotask(type, description, line, callback) {
+    const task = this.enqueueMicrotask(type, description, line);
+    globalThis.queueMicrotask(() => this.runJob(task, 'microtaskQueue', () => callback()));
+  }
+
+  record(type, details = {}) {
+    const event = {
+      seq: this.trace.length,
+      time: this.elapsed,
+      type,
+      ...details
+    };
+    if (this.debuggerLine !== null) {
+      event.debuggerLine = this.debuggerLine;
+      this.debuggerLine = null;
+    }
+    this.trace.push(event);
+    if (this.onEvent) {
+      this.onEvent(event);
+    }
+    return event;
+  }
+}
@@ -0,0 +1,188 @@
+// Console API
+// The console object user code gets, shared by the simulator and the
+// capture. Every method ends in one `write(entry)` call with the text a
+// console would print plus what the panes need to style it:
+//   { level, method, message, depth, groupPath, collapsed?, table?, stack?, values? }
+// `depth` and `groupPath` place the entry inside console.group nesting.
+// `values` are snapshots of the logged arguments, taken when they were
+// logged, for the expandable inspector. Timers read `now()`, so the
+// simulator's run on the virtual clock.
+
+import { usesFormatString } from './consoleFormat';
+
+export const CONSOLE_METHODS = [
+  'log', 'info', 'warn', 'error', 'debug', 'dir', 'table', 'trace', 'assert',
+  'group', 'groupCollapsed', 'groupEnd', 'time', 'timeLog', 'timeEnd', 'count', 'countReset'
+];
+
+const DEFAULT_LABEL = 'default';
+
+// Column console.table uses for rows that are not objects
+const VALUES_COLUMN = 'Values';
+const INDEX_COLUMN = '(index)';
+
+const formatDuration = (ms) => `${Number(ms.toFixed(3))}ms`;
+
+// Node's box-drawn table, as the entry's plain text
+export const drawTable = ({ columns, rows }) => {
+  const widths = columns.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)) + 2);
+  const line = (left, middle, right) => `${left}${widths.map(width => '─'.repeat(width)).join(middle)}${right}`;
+  const cells = (values) => `│${values.map((value, index) => ` ${value.padEnd(widths[index] - 1)}`).join('│')}│`;
+  return [
+    line('┌', '┬', '┐'),
+    cells(columns),
+    line('├', '┼', '┤'),
+    ...rows.map(cells),
+    line('└', '┴', '┘')
+  ].join('\n');
+};
+
+// Rows and columns for console.table: one row per own key of `data`, one
+// column per key found in the rows (or the ones asked for), and a Values
+// column for rows that are primitives
+const buildTable = (data, properties, inspect) => {
+  const keys = Array.isArray(data) ? data.map((_, index) => String(index)).filter(key => key in data) : Object.keys(data);
+  const isRecord = (value) => value !== null && typeof value === 'object';
+  const found = [];
+  let hasValues = false;
+  keys.forEach(key => {
+    const value = data[key];
+    if (isRecord(value)) {
+      Object.keys(value).forEach(column => !found.includes(column) && found.push(column));
+    } else {
+      hasValues = true;
+    }
+  });
+  const columns = Array.isArray(properties) ? properties.map(String) : found;
+
+  return {
+    columns: [INDEX_COLUMN, ...columns, ...(hasValues ? [VALUES_COLUMN] : [])],
+    rows: keys.map(key => {
+      const value = data[key];
+      const record = isRecord(value);
+      return [
+        key,
+        ...columns.map(column => (record && column in value ? inspect(value[column]) : '')),
+        ...(hasValues ? [record ? '' : inspect(value)] : [])
+      ];
+    })
+  };
+};
+
+// `formatArgs(args)`, `inspect(value)` and `snapshot(value)` render values
+// for the runtime in use; `captureStack()` lists the frames console.trace
+// prints, innermost first, as { name, lineNumber }.
+export function createConsoleApi({ write, now, formatArgs, inspect, snapshot, captureStack }) {
+  const timers = new Map();
+  const counts = new Map();
+  const groups = [];
+  let nextGroupId = 1;
+
+  const print = (level, method, message, extra = {}) => write({
+    level,
+    method,
+    message,
+    depth: groups.length,
+    groupPath: [...groups],
+    ...extra
+  });
+
+  // Arguments are kept for the inspector when there is an object or a
+  // function among them, unless a format string has merged them into text
+  const snapshotArgs = (args) => (
+    !usesFormatString(args) && args.some(arg => arg !== null && (typeof arg === 'object' || typeof arg === 'function'))
+      ? { values: args.map(snapshot) }
+      : {}
+  );
+
+  const printer = (level, method = level) => (...args) => print(level, method, formatArgs(args), snapshotArgs(args));
+
+  const startGroup = (method, collapsed) => (...args) => {
+    const id = nextGroupId++;
+    print('log', method, args.length > 0 ? formatArgs(args) : 'console.group', { groupId: id, collapsed });
+    groups.push(id);
+  };
+
+  return {
+    log: printer('log'),
+    info: printer('info'),
+    warn: printer('warn'),
+    error: printer('error'),
+    debug: printer('log', 'debug'),
+
+    // One value, never treated as a format string
+    dir: (value) => print('log', 'dir', inspect(value), { values: [snapshot(value)] }),
+
+    table: (data, properties) => {
+      if (data === null || typeof data !== 'object') {
+        print('log', 'log', formatArgs([data]));
+        return;
+      }
+      const table = buildTable(data, properties, inspect);
+      print('log', 'table', drawTable(table), { table });
+    },
+
+    trace: (...args) => {
+      const stack = captureStack();
+      const label = args.length > 0 ? `Trace: ${formatArgs(args)}` : 'Trace';
+      const frames = stack.map(frame => `    at ${frame.name} (line ${frame.lineNumber})`);
+      print('log', 'trace', [label, ...frames].join('\n'), { stack });
+    },
+
+    assert: (condition, ...args) => {
+      if (!condition) {
+        print('error', 'assert', args.length > 0 ? `Assertion failed: ${formatArgs(args)}` : 'Assertion failed');
+      }
+    },
+
+    group: startGroup('group', false),
+    groupCollapsed: startGroup('groupCollapsed', true),
+    groupEnd: () => {
+      groups.pop();
+    },
+
+    time: (label = DEFAULT_LABEL) => {
+      const name = String(label);
+      if (timers.has(name)) {
+        print('warn', 'time', `Timer '${name}' already exists`);
+        return;
+      }
+      timers.set(name, now());
+    },
+
+    timeLog: (label = DEFAULT_LABEL, ...args) => {
+      const name = String(label);
+      if (!timers.has(name)) {
+        print('warn', 'time', `Timer '${name}' does not exist`);
+        return;
+      }
+      const extra = args.length > 0 ? ` ${formatArgs(args)}` : '';
+      print('log', 'time', `${name}: ${formatDuration(now() - timers.get(name))}${extra}`);
+    },
+
+    timeEnd: (label = DEFAULT_LABEL) => {
+      const name = String(label);
+      if (!timers.has(name)) {
+        print('warn', 'time', `Timer '${name}' does not exist`);
+        return;
+      }
+      print('log', 'time', `${name}: ${formatDuration(now() - timers.get(name))}`);
+      timers.delete(name);
+    },
+
+    count: (label = DEFAULT_LABEL) => {
+      const name = String(label);
+      counts.set(name, (counts.get(name) || 0) + 1);
+      print('log', 'count', `${name}: ${counts.get(name)}`);
+    },
+
+    countReset: (label = DEFAULT_LABEL) => {
+      const name = String(label);
+      if (!counts.has(name)) {
+        print('warn', 'count', `Count for '${name}' does not exist`);
+        return;
+      }
+      counts.set(name, 0);
+    }
+  };
+}
@@ -0,0 +1,405 @@
+// Console formatting
+// Turns console arguments into the text Node prints for them: util.format's
+// %s/%d/%i/%f/%j/%o/%O/%c substitutions on a leading string, then
+// util.inspect's defaults for everything else. Strings are quoted, objects
+// nested deeper than two levels collapse to [Object], and an object that
+// contains itself is marked <ref *1> ... [Circular *1].
+
+import { MiniNode, describeNode } from './miniDom';
+
+// Levels below the logged value that are expanded before collapsing
+const INSPECT_DEPTH = 2;
+
+// Array items, and Map or Set entries, shown before "... n more items"
+const MAX_ITEMS = 100;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const FORMAT_SPECIFIER = /%[sdifjoOc%]/g;
+
+// Node quotes with ' unless the string contains one, then " and finally `
+export const quoteString = (text) => {
+  const quote = !text.includes("'") ? "'" : !text.includes('"') ? '"' : !text.includes('`') ? '`' : "'";
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(new RegExp(quote, 'g'), `\\${quote}`);
+  return `${quote}${escaped}${quote}`;
+};
+
+const formatNumber = (value) => (Object.is(value, -0) ? '-0' : String(value));
+
+const formatKey = (key) => {
+  if (typeof key === 'symbol') {
+    return `[${key.toString()}]`;
+  }
+  return IDENTIFIER.test(key) ? key : quoteString(key);
+};
+
+// `hooks.functionKind(fn)` and `hooks.inspectPromise(value)` let the caller
+// describe values only its runtime knows about, like interpreted functions
+// and simulated promises
+const describeFunction = (fn, hooks) => {
+  const kind = hooks.functionKind(fn);
+  if (kind === 'class') {
+    const parent = Object.getPrototypeOf(fn);
+    const extendsClause = parent && parent !== Function.prototype && parent.name ? ` extends ${parent.name}` : '';
+    return `[class ${fn.name || '(anonymous)'}${extendsClause}]`;
+  }
+  return fn.name ? `[${kind}: ${fn.name}]` : `[${kind} (anonymous)]`;
+};
+
+const getConstructorName = (value) => {
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype === null) {
+    return null;
+  }
+  const constructor = prototype.constructor;
+  return (typeof constructor === 'function' && constructor.name) || 'Object';
+};
+
+// Runs of missing array indices print as one "<n empty items>"
+const formatArrayItems = (array, inspect) => {
+  const items = [];
+  const shown = Math.min(array.length, MAX_ITEMS);
+  let holes = 0;
+  for (let index = 0; index < shown; index++) {
+    if (!Object.prototype.hasOwnProperty.call(array, index)) {
+      holes++;
+      continue;
+    }
+    if (holes > 0) {
+      items.push(`<${holes} empty item${holes === 1 ? '' : 's'}>`);
+      holes = 0;
+    }
+    items.push(inspect(array[index]));
+  }
+  if (holes > 0) {
+    items.push(`<${holes} empty item${holes === 1 ? '' : 's'}>`);
+  }
+  if (array.length > MAX_ITEMS) {
+    const more = array.length - MAX_ITEMS;
+    items.push(`... ${more} more item${more === 1 ? '' : 's'}`);
+  }
+  return items;
+};
+
+// Accessors are not invoked, since that would run user code
+const formatProperties = (value, keys, inspect) => keys.map(key => {
+  const descriptor = Object.getOwnPropertyDescriptor(value, key);
+  let text;
+  if (descriptor.get || descriptor.set) {
+    text = descriptor.get && descriptor.set ? '[Getter/Setter]' : descriptor.get ? '[Getter]' : '[Setter]';
+  } else {
+    text = inspect(descriptor.value);
+  }
+  return `${formatKey(key)}: ${text}`;
+});
+
+const ownKeys = (value) => [
+  ...Object.keys(value),
+  ...Object.getOwnPropertySymbols(value).filter(symbol => Object.prototype.propertyIsEnumerable.call(value, symbol))
+];
+
+const braces = (prefix, items, open = '{', close = '}') => {
+  const head = prefix ? `${prefix} ` : '';
+  return items.length > 0 ? `${head}${open} ${items.join(', ')} ${close}` : `${head}${open}${close}`;
+};
+
+export function inspectValue(value, hooks, depth = 0, refs = { stack: [], ids: new Map() }) {
+  const inspect = (item) => inspectValue(item, hooks, depth + 1, refs);
+
+  switch (typeof value) {
+    case 'string':
+      return quoteString(value);
+    case 'number':
+      return formatNumber(value);
+    case 'bigint':
+      return `${value}n`;
+    case 'symbol':
+      return value.toString();
+    case 'undefined':
+      return 'undefined';
+    case 'boolean':
+      return String(value);
+    case 'function':
+      return describeFunction(value, hooks);
+    default:
+      break;
+  }
+  if (value === null) {
+    return 'null';
+  }
+
+  if (refs.stack.includes(value)) {
+    if (!refs.ids.has(value)) {
+      refs.ids.set(value, refs.ids.size + 1);
+    }
+    return `[Circular *${refs.ids.get(value)}]`;
+  }
+
+  const promise = hooks.inspectPromise(value);
+  if (promise) {
+    if (promise.state === 'pending') {
+      return 'Promise { <pending> }';
+    }
+    refs.stack.push(value);
+    const result = inspect(promise.result);
+    refs.stack.pop();
+    return `Promise { ${promise.state === 'rejected' ? '<rejected> ' : ''}${result} }`;
+  }
+  if (value instanceof Error) {
+    return hooks.formatError(value);
+  }
+  if (value instanceof MiniNode) {
+    return describeNode(value);
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+  }
+  if (value instanceof RegExp) {
+    return String(value);
+  }
+  if (value instanceof WeakMap || value instanceof WeakSet) {
+    return `${getConstructorName(value)} { <items unknown> }`;
+  }
+
+  const name = getConstructorName(value);
+  if (depth > INSPECT_DEPTH) {
+    if (Array.isArray(value)) {
+      return '[Array]';
+    }
+    return name === null ? '[Object: null prototype]' : `[${name}]`;
+  }
+
+  refs.stack.push(value);
+  let text;
+  if (Array.isArray(value)) {
+    const extraKeys = ownKeys(value).filter(key => typeof key === 'symbol' || String(Number(key) >>> 0) !== key);
+    const items = [...formatArrayItems(value, inspect), ...formatProperties(value, extraKeys, inspect)];
+    text = braces(name === 'Array' ? '' : `${name}(${value.length})`, items, '[', ']');
+  } else if (value instanceof Map) {
+    const entries = [...value].slice(0, MAX_ITEMS).map(([key, item]) => `${inspect(key)} => ${inspect(item)}`);
+    if (value.size > MAX_ITEMS) {
+      entries.push(`... ${value.size - MAX_ITEMS} more items`);
+    }
+    text = braces(`${name}(${value.size})`, entries);
+  } else if (value instanceof Set) {
+    const entries = [...value].slice(0, MAX_ITEMS).map(inspect);
+    if (value.size > MAX_ITEMS) {
+      entries.push(`... ${value.size - MAX_ITEMS} more items`);
+    }
+    text = braces(`${name}(${value.size})`, entries);
+  } else {
+    const prefix = name === null ? '[Object: null prototype]' : name === 'Object' ? '' : name;
+    text = braces(prefix, formatProperties(value, ownKeys(value), inspect));
+  }
+  refs.stack.pop();
+
+  // The object a [Circular *n] points back to is labelled once it is done
+  return refs.ids.has(value) ? `<ref *${refs.ids.get(value)}> ${text}` : text;
+}
+
+// One value substituted for a format specifier, as util.format does
+const formatSpecifier = (specifier, value, hooks) => {
+  switch (specifier) {
+    case '%s':
+      if (typeof value === 'bigint') {
+        return `${value}n`;
+      }
+      if (typeof value === 'number') {
+        return formatNumber(value);
+      }
+      return value !== null && typeof value === 'object' ? inspectValue(value, hooks, 1) : String(value);
+    case '%d':
+      if (typeof value === 'bigint') {
+        return `${value}n`;
+      }
+      return typeof value === 'symbol' ? 'NaN' : formatNumber(Number(value));
+    case '%i':
+      if (typeof value === 'bigint') {
+        return `${value}n`;
+      }
+      return typeof value === 'symbol' ? 'NaN' : formatNumber(parseInt(value, 10));
+    case '%f':
+      return typeof value === 'symbol' ? 'NaN' : formatNumber(parseFloat(value));
+    case '%j':
+      try {
+        return JSON.stringify(value);
+      } catch {
+        return '[Circular]';
+      }
+    case '%c':
+      // CSS only styles DevTools output, Node drops it
+      return '';
+    default:
+      return inspectValue(value, hooks);
+  }
+};
+
+// Whether a leading string would substitute later arguments into itself
+export const usesFormatString = (args) => (
+  typeof args[0] === 'string' && args.length > 1 && args[0].search(FORMAT_SPECIFIER) !== -1
+);
+
+export function formatConsoleArgs(args, hooks) {
+  let rest = args;
+  const parts = [];
+
+  if (typeof args[0] === 'string' && args.length > 1) {
+    let next = 1;
+    parts.push(args[0].replace(FORMAT_SPECIFIER, (specifier) => {
+      if (specifier === '%%') {
+        return '%';
+      }
+      if (next >= args.length) {
+        return specifier;
+      }
+      return formatSpecifier(specifier, args[next++], hooks);
+    }));
+    rest = args.slice(next);
+  }
+
+  // Strings after the format string print as they are
+  rest.forEach(arg => {
+    parts.push(typeof arg === 'string' ? arg : inspectValue(arg, hooks));
+  });
+  return parts.join(' ');
+}
+
+// Levels of nesting a snapshot keeps for the expandable inspector, and the
+// nodes one logged value may take in all; past either, values keep only
+// their one-line preview
+const SNAPSHOT_DEPTH = 6;
+const SNAPSHOT_NODES = 2000;
+
+const snapshotType = (value, hooks) => {
+  if (hooks.inspectPromise(value)) {
+    return 'promise';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value instanceof Map) {
+    return 'map';
+  }
+  if (value instanceof Set) {
+    return 'set';
+  }
+  if (value instanceof Error) {
+    return 'error';
+  }
+  if (value instanceof Date || value instanceof RegExp || value instanceof MiniNode
+    || value instanceof WeakMap || value instanceof WeakSet) {
+    return 'opaque';
+  }
+  return 'object';
+};
+
+// Type label shown before an object's preview
+const snapshotLabel = (value, type, hooks) => {
+  const name = getConstructorName(value);
+  switch (type) {
+    case 'array':
+      return `${name || 'Array'}(${value.length})`;
+    case 'map':
+    case 'set':
+      return `${name}(${value.size})`;
+    case 'promise':
+      return 'Promise';
+    case 'error':
+      return hooks.formatError(value).split(':')[0];
+    default:
+      return name === null ? 'Object: null prototype' : name;
+  }
+};
+
+// Plain-data copy of a value as it is now, for the console's expandable
+// inspector: { type, preview, label?, entries?: [{ name, value, mapKey? }],
+// truncated?, ref?, circular? }. `preview` is the one-line inspectValue text.
+// An object met again inside itself becomes { type: 'circular', circular: n }
+// and the object gets `ref: n`. Snapshots survive structured cloning, so they
+// cross from the worker and sit in the store unchanged by later mutations.
+export function snapshotValue(value, hooks, depth = 0, refs = { stack: [], ids: new Map(), nodes: 0 }) {
+  refs.nodes++;
+  if (typeof value === 'string') {
+    return { type: 'string', value, preview: quoteString(value) };
+  }
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+    return { type: value === null ? 'null' : typeof value, preview: inspectValue(value, hooks) };
+  }
+  if (typeof value === 'function') {
+    return { type: 'function', preview: describeFunction(value, hooks) };
+  }
+
+  if (refs.stack.includes(value)) {
+    if (!refs.ids.has(value)) {
+      refs.ids.set(value, refs.ids.size + 1);
+    }
+    return { type: 'circular', circular: refs.ids.get(value), preview: `[Circular *${refs.ids.get(value)}]` };
+  }
+
+  const type = snapshotType(value, hooks);
+  const node = { type, label: snapshotLabel(value, type, hooks), preview: inspectValue(value, hooks, INSPECT_DEPTH) };
+  if (type === 'opaque' || depth >= SNAPSHOT_DEPTH) {
+    return node;
+  }
+
+  // Entries are listed lazily so the node budget can cut them off
+  const pending = [];
+  if (type === 'promise') {
+    const promise = hooks.inspectPromise(value);
+    pending.push(['[[PromiseState]]', () => promise.state]);
+    if (promise.state !== 'pending') {
+      pending.push(['[[PromiseResult]]', () => promise.result]);
+    }
+  } else if (type === 'map') {
+    [...value].forEach(([key, item]) => pending.push([inspectValue(key, hooks, INSPECT_DEPTH), () => item, true]));
+  } else if (type === 'set') {
+    [...value].forEach((item, index) => pending.push([String(index), () => item]));
+  } else if (type === 'error') {
+    pending.push(['message', () => value.message]);
+  }
+  if (type !== 'promise') {
+    ownKeys(value).forEach(key => {
+      if (type === 'error' && key === 'message') {
+        return;
+      }
+      const name = typeof key === 'string' && /^\d+$/.test(key) ? key : formatKey(key);
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      if (descriptor.get || descriptor.set) {
+        const preview = descriptor.get && descriptor.set ? '[Getter/Setter]' : descriptor.get ? '[Getter]' : '[Setter]';
+        pending.push([name, () => preview, false, true]);
+      } else {
+        pending.push([name, () => descriptor.value]);
+      }
+    });
+  }
+  if (type === 'array') {
+    pending.push(['length', () => value.length]);
+  }
+
+  refs.stack.push(value);
+  node.entries = [];
+  for (const [name, read, mapKey, accessor] of pending) {
+    if (refs.nodes >= SNAPSHOT_NODES) {
+      node.truncated = pending.length - node.entries.length;
+      break;
+    }
+    const item = read();
+    const entry = {
+      name,
+      value: accessor ? { type: 'accessor', preview: item } : snapshotValue(item, hooks, depth + 1, refs)
+    };
+    if (mapKey) {
+      entry.mapKey = true;
+    }
+    node.entries.push(entry);
+  }
+  refs.stack.pop();
+
+  if (refs.ids.has(value)) {
+    node.ref = refs.ids.get(value);
+  }
+  return node;
+}
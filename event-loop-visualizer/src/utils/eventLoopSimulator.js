@@ -0,0 +1,949 @@
+// Event Loop Simulator
+// Runs user code on a virtual clock. Timers wait in a heap keyed by their due
+// time, tasks and microtasks wait in FIFO queues, and time only moves forward
+// when nothing is left to run, so a snippet always produces the same trace.
+// The loop either follows the browser's task model or Node's libuv phases.
+
+import { Interpreter } from './astInterpreter';
+import { createSimulatedPromise } from './simulatedPromise';
+import { createMiniDom, MiniNode, serializeNode } from './miniDom';
+import { createMockFetch } from './mockFetch';
+import { formatConsoleArgs, inspectValue, snapshotValue } from './consoleFormat';
+import { createConsoleApi } from './consoleApi';
+import { TRACE_EVENTS } from './traceEvents';
+import { resolveBudgets, describeBudget, BudgetExceededError, createCheckpointCounter } from './executionBudgets';
+import { createApiPolicy } from './apiPolicy';
+import { TASK_TYPES, MICROTASK_SOURCES, RUNTIMES, LOOP_PHASES, NODE_PHASES } from '../store/eventLoopSlice';
+
+// Browsers clamp timers nested deeper than this to a 4ms minimum
+const TIMER_NESTING_LIMIT = 5;
+const MIN_NESTED_TIMEOUT = 4;
+
+// Node coerces timer delays outside 1..TIMEOUT_MAX to 1ms
+const NODE_TIMEOUT_MAX = 2 ** 31 - 1;
+
+// Virtual time after which a run with timers still pending is stopped
+const MAX_VIRTUAL_TIME = 60000;
+
+// Virtual CPU time per executed statement, so busy loops take time
+const STATEMENT_COST = 0.01;
+
+// Browsers render at most once per display frame (60Hz)
+const FRAME_INTERVAL = 1000 / 60;
+
+// Wall-clock time at virtual time 0, for Date
+const VIRTUAL_EPOCH = Date.UTC(2024, 0, 1);
+
+// Keep virtual times free of floating point noise
+const roundTime = (time) => Math.round(time * 1000) / 1000;
+
+// Events raised by running code carry its scope chain for the inspector
+const SCOPED_EVENTS = [TRACE_EVENTS.ENQUEUE, TRACE_EVENTS.CONSOLE];
+
+// Longest value preview shown in the scope inspector
+const PREVIEW_LENGTH = 60;
+
+// Min-heap of pending timers ordered by due time, then by creation order
+class TimerHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  compare(a, b) {
+    return a.dueTime - b.dueTime || a.id - b.id;
+  }
+
+  push(timer) {
+    const { items } = this;
+    items.push(timer);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === index) break;
+        [items[index], items[smallest]] = [items[smallest], items[index]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+
+  // Rebuild the heap without one timer; only used when a timer is cleared
+  remove(timer) {
+    const rest = this.items.filter(item => item !== timer);
+    this.items = [];
+    rest.forEach(item => this.push(item));
+  }
+}
+
+export class EventLoopSimulator {
+  constructor() {
+    // Called with each trace event as it is recorded, to stream a run
+    this.onEvent = null;
+    this.reset();
+  }
+
+  reset() {
+    this.runtime = RUNTIMES.BROWSER;
+    this.clock = 0;
+    this.nextTaskId = 1;
+    this.trace = [];
+    this.taskQueue = [];
+    this.microtaskQueue = [];
+    this.nextTickQueue = [];
+    this.phaseQueues = Object.fromEntries(NODE_PHASES.map(phase => [phase, []]));
+    this.timers = new TimerHeap();
+    this.activeTimers = new Map();
+    this.timerNesting = 0;
+    this.requests = [];
+    this.fetchFixtures = [];
+    this.rafQueue = [];
+    this.renderRequestedAt = null;
+    this.lastFrame = 0;
+    this.loopTime = 0;
+    this.dom = null;
+    this.taskStartSteps = 0;
+    this.logs = [];
+    this.errors = [];
+    this.interpreter = null;
+    this.currentTask = null;
+    this.budgets = resolveBudgets();
+    this.apiPolicy = createApiPolicy();
+    this.tasksRun = 0;
+    this.timersStarted = 0;
+    this.checkpoint = null;
+  }
+
+  // Line currently executing in user code
+  get currentLine() {
+    return this.interpreter ? this.interpreter.currentLine : 1;
+  }
+
+  // Virtual time, including the CPU time the running task has used so far
+  now() {
+    if (!this.currentTask) {
+      return this.clock;
+    }
+    return roundTime(this.clock + (this.interpreter.steps - this.taskStartSteps) * STATEMENT_COST);
+  }
+
+  // Parse and run code until every queue and timer is empty.
+  // Parse errors are thrown; runtime errors are recorded in the trace.
+  run(code, { runtime = RUNTIMES.BROWSER, fetchFixtures = [], budgets, apiPolicy } = {}) {
+    this.reset();
+    this.runtime = runtime;
+    this.fetchFixtures = fetchFixtures;
+    this.budgets = resolveBudgets(budgets);
+    this.apiPolicy = createApiPolicy(apiPolicy);
+
+    const { SimulatedPromise, inspectPromise, awaitPromise } = createSimulatedPromise(this);
+    this.inspectPromise = inspectPromise;
+    this.interpreter = new Interpreter({
+      globals: this.createGlobals(SimulatedPromise),
+      blockedGlobals: this.apiPolicy.blocked,
+      blockedError: this.apiPolicy.blockedGlobalError,
+      intrinsics: {
+        Promise: SimulatedPromise,
+        inspectPromise,
+        awaitPromise: (value, onFulfilled, onRejected, label) => (
+          awaitPromise(value, onFulfilled, onRejected, { ...label, type: TASK_TYPES.ASYNC_AWAIT })
+        )
+      },
+      asyncHooks: {
+        suspend: (frame) => this.record(TRACE_EVENTS.SUSPEND, {
+          frame: { id: frame.id, name: frame.name, lineNumber: frame.lineNumber }
+        }),
+        resume: (frame) => this.record(TRACE_EVENTS.RESUME, { frameId: frame.id })
+      },
+      callHooks: {
+        enter: (frame) => this.record(TRACE_EVENTS.CALL, {
+          frame: {
+            id: frame.id,
+            name: frame.name,
+            args: frame.args.map(arg => this.formatArgument(arg)),
+            lineNumber: frame.lineNumber,
+            scopes: this.snapshotScopes(frame.scope)
+          }
+        }),
+        exit: (frame) => this.record(TRACE_EVENTS.RETURN, { frameId: frame.id }),
+        overflow: (limit, line) => this.record(TRACE_EVENTS.BUDGET, describeBudget('maxCallDepth', limit, line))
+      },
+      budgets: this.budgets
+    });
+
+    const ast = this.interpreter.parse(code);
+    let result;
+
+    const script = this.createTask(TASK_TYPES.SYNCHRONOUS, 'Main script', { lineNumber: 1 });
+    this.runTask(script, 'callStack', () => {
+      result = this.interpreter.runProgram(ast);
+    });
+    this.runMicrotaskCheckpoint();
+
+    if (runtime === RUNTIMES.NODE) {
+      this.runNodeLoop();
+    } else {
+      this.runBrowserLoop();
+    }
+
+    this.record(TRACE_EVENTS.DONE);
+
+    return {
+      result,
+      trace: this.trace,
+      logs: this.logs,
+      errors: this.errors,
+      duration: this.clock
+    };
+  }
+
+  // One task from the task queue, then a microtask checkpoint, then a
+  // rendering update whenever a frame is due and something needs painting
+  runBrowserLoop() {
+    while (this.taskQueue.length > 0 || this.timers.size > 0 || this.requests.length > 0 || this.needsRender()) {
+      this.collectExpiredTimers(this.taskQueue, 'callbackQueue');
+      this.collectCompletedRequests(this.taskQueue, 'callbackQueue');
+      const frameTime = this.nextFrameTime();
+      if (frameTime <= this.clock) {
+        this.updateRendering();
+        continue;
+      }
+      if (this.taskQueue.length === 0) {
+        const wakeTime = Math.min(frameTime, this.nextDueTime());
+        if (wakeTime > MAX_VIRTUAL_TIME) {
+          this.stopTimers();
+          break;
+        }
+        this.clock = wakeTime;
+        this.record(TRACE_EVENTS.CLOCK);
+        continue;
+      }
+      this.runTimer(this.taskQueue.shift(), 'callbackQueue');
+      this.runMicrotaskCheckpoint();
+    }
+  }
+
+  needsRender() {
+    return this.renderRequestedAt !== null;
+  }
+
+  // Frames start every FRAME_INTERVAL. A render waits for the first frame
+  // after it was requested, or after the task that kept the thread busy.
+  nextFrameTime() {
+    if (!this.needsRender()) {
+      return Infinity;
+    }
+    const frame = Math.max(
+      Math.floor(this.renderRequestedAt / FRAME_INTERVAL) + 1,
+      this.lastFrame + 1,
+      Math.ceil(this.clock / FRAME_INTERVAL - 0.001)
+    );
+    return roundTime(frame * FRAME_INTERVAL);
+  }
+
+  // Mark that the next frame has work: a DOM change or an rAF callback
+  requestRender() {
+    if (this.renderRequestedAt === null) {
+      this.renderRequestedAt = this.now();
+    }
+  }
+
+  // The rendering steps of one frame: animation frame callbacks queued
+  // before it began, then style, layout and paint. Frames that passed while
+  // a long task held the thread are reported as skipped.
+  updateRendering() {
+    const frame = Math.round(this.clock / FRAME_INTERVAL);
+    const firstFrame = Math.max(Math.floor(this.renderRequestedAt / FRAME_INTERVAL) + 1, this.lastFrame + 1);
+    this.lastFrame = frame;
+    this.renderRequestedAt = null;
+    this.record(TRACE_EVENTS.RENDER, {
+      step: 'animationFrames',
+      frame,
+      skipped: frame - firstFrame,
+      callbacks: this.rafQueue.length
+    });
+
+    const frameTime = this.clock;
+    const batch = new Set(this.rafQueue);
+    while (this.rafQueue.length > 0 && batch.has(this.rafQueue[0])) {
+      const callback = this.rafQueue.shift();
+      this.runTask(callback, 'rafQueue', () => callback.callback(frameTime));
+      this.runMicrotaskCheckpoint();
+    }
+
+    this.record(TRACE_EVENTS.RENDER, { step: 'style', frame });
+    this.record(TRACE_EVENTS.RENDER, { step: 'layout', frame });
+    this.record(TRACE_EVENTS.RENDER, {
+      step: 'paint',
+      frame,
+      snapshot: this.dom ? serializeNode(this.dom.document.body) : null
+    });
+
+    // Callbacks requested during this frame wait for the next one
+    if (this.rafQueue.length > 0) {
+      this.requestRender();
+    }
+  }
+
+  // Each iteration visits the libuv phases in order. Only the poll phase
+  // waits for time to pass, and not while immediates are queued, which is
+  // why an immediate beats a 0ms timeout here. Real Node may run either
+  // first when both are scheduled from the main module.
+  // libuv caches the loop time in whole milliseconds at the start of each
+  // iteration; timers are scheduled and expired against that cached time.
+  // Completed fetches are I/O, so their callbacks run in the poll phase.
+  runNodeLoop() {
+    const { timers: expired, poll: completed, check: immediates } = this.phaseQueues;
+    while (this.timers.size > 0 || this.requests.length > 0 || NODE_PHASES.some(phase => this.phaseQueues[phase].length > 0)) {
+      this.loopTime = Math.floor(this.clock);
+      this.collectExpiredTimers(expired, 'timersQueue', this.loopTime);
+      this.runNodePhase(LOOP_PHASES.TIMERS, timer => this.runTimer(timer, 'timersQueue'));
+      this.runNodePhase(LOOP_PHASES.PENDING);
+
+      const dueTime = this.nextDueTime();
+      if (immediates.length === 0 && dueTime !== Infinity && dueTime > this.loopTime) {
+        if (dueTime > MAX_VIRTUAL_TIME) {
+          this.stopTimers();
+          break;
+        }
+        this.record(TRACE_EVENTS.PHASE, { phase: LOOP_PHASES.POLL });
+        if (dueTime > this.clock) {
+          this.advanceClock();
+        }
+      }
+      this.collectCompletedRequests(completed, 'pollQueue');
+      this.runNodePhase(LOOP_PHASES.POLL);
+      this.runNodePhase(LOOP_PHASES.CHECK);
+      this.runNodePhase(LOOP_PHASES.CLOSE);
+    }
+  }
+
+  // Run the callbacks queued for a phase when it started. Callbacks they
+  // queue for the same phase wait for the next iteration.
+  runNodePhase(phase, run = task => this.runTask(task, `${phase}Queue`, () => task.callback(...task.args))) {
+    const queue = this.phaseQueues[phase];
+    if (queue.length === 0) {
+      return;
+    }
+    this.record(TRACE_EVENTS.PHASE, { phase });
+    const batch = new Set(queue);
+    while (queue.length > 0 && batch.has(queue[0])) {
+      run(queue.shift());
+      this.runMicrotaskCheckpoint();
+    }
+  }
+
+  // Jump the clock to the next due timer or request
+  advanceClock() {
+    this.clock = this.nextDueTime();
+    this.record(TRACE_EVENTS.CLOCK);
+  }
+
+  nextDueTime() {
+    return Math.min(
+      this.timers.size > 0 ? this.timers.peek().dueTime : Infinity,
+      this.requests.length > 0 ? this.requests[0].dueTime : Infinity
+    );
+  }
+
+  // Move every timer due by `time` from the heap into `queue`
+  collectExpiredTimers(queue, queueName, time = this.clock) {
+    while (this.timers.size > 0 && this.timers.peek().dueTime <= time) {
+      const timer = this.timers.pop();
+      queue.push(timer);
+      this.record(TRACE_EVENTS.TIMER_FIRED, { taskId: timer.id, queue: queueName });
+    }
+  }
+
+  // Move every request whose latency has passed by `time` into `queue`
+  collectCompletedRequests(queue, queueName, time = this.clock) {
+    while (this.requests.length > 0 && this.requests[0].dueTime <= time) {
+      const request = this.requests.shift();
+      queue.push(request);
+      this.record(TRACE_EVENTS.TIMER_FIRED, { taskId: request.id, queue: queueName });
+    }
+  }
+
+  // Run a fired timer; an interval that was not cleared by its own callback
+  // is re-armed for another full delay once the callback returns
+  runTimer(timer, queue) {
+    this.timerNesting = timer.nesting;
+    this.runTask(timer, queue, () => timer.callback(...timer.args));
+    this.timerNesting = 0;
+
+    if (!timer.repeat || !this.activeTimers.has(timer.id)) {
+      this.activeTimers.delete(timer.id);
+      return;
+    }
+    timer.nesting += 1;
+    timer.delay = this.clampDelay(timer.requestedDelay, timer.nesting);
+    this.armTimer(timer);
+  }
+
+  // Cancel whatever is left once the virtual time budget is spent,
+  // e.g. a setInterval that is never cleared or an endless rAF loop
+  stopTimers() {
+    this.activeTimers.forEach((timer, id) => this.record(TRACE_EVENTS.CANCEL, { taskId: id }));
+    this.rafQueue.forEach(callback => this.record(TRACE_EVENTS.CANCEL, { taskId: callback.id }));
+    this.requests.forEach(request => this.record(TRACE_EVENTS.CANCEL, { taskId: request.id }));
+    this.dropPendingWork();
+    const message = `Simulation stopped at ${MAX_VIRTUAL_TIME}ms with timers still pending`;
+    this.errors.push(message);
+    this.record(TRACE_EVENTS.ERROR, { taskId: null, message, lineNumber: this.currentLine, stopped: true });
+  }
+
+  // A spent budget ends the run where it is: the running task unwinds and
+  // everything still queued or pending is dropped without running
+  stopOnBudget(error) {
+    this.errors.push(error.message);
+    this.record(TRACE_EVENTS.BUDGET, error.details);
+    this.dropPendingWork();
+  }
+
+  // Empty every queue and timer, so the loops wind down
+  dropPendingWork() {
+    this.activeTimers.clear();
+    this.timers = new TimerHeap();
+    this.rafQueue = [];
+    this.requests = [];
+    this.renderRequestedAt = null;
+    this.taskQueue = [];
+    this.microtaskQueue = [];
+    this.nextTickQueue = [];
+    // The Node loop holds on to the phase queues, so they are emptied in place
+    NODE_PHASES.forEach(phase => this.phaseQueues[phase].splice(0));
+  }
+
+  // Node drains process.nextTick callbacks before promise jobs, and again
+  // after them if a job queued more ticks. Browsers never queue ticks.
+  runMicrotaskCheckpoint() {
+    this.record(TRACE_EVENTS.CHECKPOINT, { pending: this.microtaskQueue.length + this.nextTickQueue.length });
+    this.checkpoint = createCheckpointCounter(this.budgets.starvationThreshold);
+    do {
+      while (this.nextTickQueue.length > 0) {
+        const tick = this.nextTickQueue.shift();
+        this.runCheckpointTask(tick, 'nextTickQueue', () => tick.callback(...tick.args));
+      }
+      while (this.microtaskQueue.length > 0) {
+        const microtask = this.microtaskQueue.shift();
+        this.runCheckpointTask(microtask, 'microtaskQueue', () => microtask.callback());
+      }
+    } while (this.nextTickQueue.length > 0);
+  }
+
+  // A microtask that keeps queueing microtasks holds the checkpoint open, and
+  // tasks and rendering wait behind it. Once a checkpoint has drained more
+  // than the starvation threshold this is reported, and the run stops before
+  // the next one runs.
+  runCheckpointTask(task, queue, body) {
+    if (!this.checkpoint.admit(task)) {
+      this.reportStarvation(task);
+      this.stopOnBudget(new BudgetExceededError('starvationThreshold', this.budgets.starvationThreshold, task.lineNumber));
+      return;
+    }
+    this.runTask(task, queue, body);
+  }
+
+  // `next` is the microtask about to run, still queued
+  reportStarvation(next) {
+    const queued = [next, ...this.nextTickQueue, ...this.microtaskQueue];
+    this.record(TRACE_EVENTS.STARVATION, this.checkpoint.describeStarvation(queued, this.describeStarvedWork()));
+  }
+
+  // Work that is ready to run but has to wait for the checkpoint to end
+  describeStarvedWork() {
+    const now = this.now();
+    const due = [...this.timers.items, ...this.requests].filter(pending => pending.dueTime <= now).length;
+    if (this.runtime === RUNTIMES.NODE) {
+      const queued = NODE_PHASES.reduce((count, phase) => count + this.phaseQueues[phase].length, 0);
+      return { tasks: due + queued, render: false };
+    }
+    return { tasks: due + this.taskQueue.length, render: this.needsRender() };
+  }
+
+  // Run a task to completion; uncaught exceptions end the task, not the loop.
+  // The clock moves on by the CPU time the task used. A task past the task
+  // budget does not run at all.
+  runTask(task, queue, body) {
+    this.tasksRun += 1;
+    if (this.tasksRun > this.budgets.maxTasks) {
+      this.stopOnBudget(new BudgetExceededError('maxTasks', this.budgets.maxTasks, task.lineNumber));
+      return;
+    }
+    this.currentTask = task;
+    this.taskStartSteps = this.interpreter.steps;
+    this.interpreter.currentScope = this.interpreter.globalScope;
+    this.record(TRACE_EVENTS.TASK_START, { queue, task: this.toTraceTask(task) });
+    try {
+      body();
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        this.stopOnBudget(error);
+      } else {
+        this.reportError(error);
+      }
+    }
+    // What queued callbacks close over may have changed while the task ran
+    const closures = this.pendingTasks()
+      .map(pending => [pending.id, this.describeClosure(pending.handler)])
+      .filter(([, closure]) => closure);
+    this.record(TRACE_EVENTS.TASK_END, { taskId: task.id, closures: Object.fromEntries(closures) });
+    this.clock = this.now();
+    this.currentTask = null;
+  }
+
+  // Record an uncaught exception against the running task
+  reportError(error) {
+    const message = this.formatError(error);
+    this.errors.push(message);
+    this.record(TRACE_EVENTS.ERROR, {
+      taskId: this.currentTask ? this.currentTask.id : null,
+      message,
+      lineNumber: this.currentLine,
+      column: this.interpreter.currentColumn
+    });
+  }
+
+  // `handler` is the user function behind the task, when `callback` wraps it
+  createTask(type, description, { lineNumber = this.currentLine, delay = 0, callback = null, args = [], handler = callback } = {}) {
+    return {
+      id: this.nextTaskId++,
+      type,
+      description,
+      delay,
+      lineNumber,
+      callback,
+      handler,
+      args
+    };
+  }
+
+  // Serializable snapshot of a task for the trace
+  toTraceTask(task) {
+    return {
+      id: task.id,
+      type: task.type,
+      description: task.description,
+      delay: task.delay,
+      lineNumber: task.lineNumber,
+      source: task.source || null,
+      closure: this.describeClosure(task.handler)
+    };
+  }
+
+  // Variables a queued callback closes over, with their current values
+  describeClosure(handler) {
+    const closure = handler ? this.interpreter.describeClosure(handler) : null;
+    if (!closure || closure.length === 0) {
+      return null;
+    }
+    return closure.map(({ name, kind, scope, ...binding }) => ({ name, kind, scope, value: this.formatBinding(binding) }));
+  }
+
+  snapshotScopes(scope) {
+    return this.interpreter.describeScopeChain(scope).map(({ bindings, ...rest }) => ({
+      ...rest,
+      bindings: bindings.map(({ name, kind, ...binding }) => ({ name, kind, value: this.formatBinding(binding) }))
+    }));
+  }
+
+  formatBinding({ value, uninitialized }) {
+    if (uninitialized) {
+      return '<uninitialized>';
+    }
+    const text = this.formatValue(value);
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+  }
+
+  // Queued tasks whose callbacks may close over variables that just changed
+  pendingTasks() {
+    return [
+      ...this.timers.items,
+      ...this.requests,
+      ...this.taskQueue,
+      ...this.microtaskQueue,
+      ...this.nextTickQueue,
+      ...this.rafQueue,
+      ...NODE_PHASES.flatMap(phase => this.phaseQueues[phase])
+    ];
+  }
+
+  enqueueMicrotask(callback, { type = TASK_TYPES.PROMISE, description = 'Microtask', lineNumber, handler = null } = {}) {
+    const microtask = this.createTask(type, description, { lineNumber, callback, handler });
+    microtask.source = MICROTASK_SOURCES[type];
+    microtask.queuedBy = this.currentTask ? this.currentTask.id : null;
+    this.microtaskQueue.push(microtask);
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'microtaskQueue', task: this.toTraceTask(microtask) });
+    return microtask;
+  }
+
+  nextTick(callback, ...args) {
+    if (typeof callback !== 'function') {
+      throw new TypeError(`The "callback" argument must be of type function. Received ${this.formatValue(callback)}`);
+    }
+    const name = this.interpreter.getFunctionName(callback);
+    const tick = this.createTask(TASK_TYPES.NEXT_TICK, `process.nextTick callback: ${name}`, { callback, args });
+    tick.queuedBy = this.currentTask ? this.currentTask.id : null;
+    this.nextTickQueue.push(tick);
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'nextTickQueue', task: this.toTraceTask(tick) });
+  }
+
+  setImmediate(callback, ...args) {
+    if (typeof callback !== 'function') {
+      throw new TypeError(`The "callback" argument must be of type function. Received ${this.formatValue(callback)}`);
+    }
+    const name = this.interpreter.getFunctionName(callback);
+    const immediate = this.createTask(TASK_TYPES.SET_IMMEDIATE, `setImmediate callback: ${name}`, { callback, args });
+    this.phaseQueues[LOOP_PHASES.CHECK].push(immediate);
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'checkQueue', task: this.toTraceTask(immediate) });
+    return immediate.id;
+  }
+
+  clearImmediate(id) {
+    const queue = this.phaseQueues[LOOP_PHASES.CHECK];
+    const index = queue.findIndex(immediate => immediate.id === id);
+    if (index !== -1) {
+      queue.splice(index, 1);
+      this.record(TRACE_EVENTS.CANCEL, { taskId: id });
+    }
+  }
+
+  requestAnimationFrame(callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError("Failed to execute 'requestAnimationFrame' on 'Window': The callback provided as parameter 1 is not a function.");
+    }
+    const name = this.interpreter.getFunctionName(callback);
+    const frameCallback = this.createTask(TASK_TYPES.ANIMATION_FRAME, `requestAnimationFrame callback: ${name}`, { callback });
+    this.rafQueue.push(frameCallback);
+    this.requestRender();
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'rafQueue', task: this.toTraceTask(frameCallback) });
+    return frameCallback.id;
+  }
+
+  cancelAnimationFrame(id) {
+    const index = this.rafQueue.findIndex(callback => callback.id === id);
+    if (index !== -1) {
+      this.rafQueue.splice(index, 1);
+      this.record(TRACE_EVENTS.CANCEL, { taskId: id });
+    }
+  }
+
+  queueMicrotask(callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError("Failed to execute 'queueMicrotask': parameter 1 is not of type 'Function'.");
+    }
+    const name = this.interpreter.getFunctionName(callback);
+    this.enqueueMicrotask(() => callback(), {
+      handler: callback,
+      type: TASK_TYPES.QUEUE_MICROTASK,
+      description: `queueMicrotask callback: ${name}`
+    });
+  }
+
+  setTimeout(callback, delay = 0, ...args) {
+    return this.startTimer(TASK_TYPES.SET_TIMEOUT, 'setTimeout', callback, delay, args);
+  }
+
+  setInterval(callback, delay = 0, ...args) {
+    return this.startTimer(TASK_TYPES.SET_INTERVAL, 'setInterval', callback, delay, args);
+  }
+
+  // Timer ids are task ids, so the handle user code gets back is the same
+  // number shown on the timer in the Web APIs panel
+  startTimer(type, api, callback, delay, args) {
+    if (typeof callback !== 'function') {
+      throw new TypeError(`Failed to execute '${api}': parameter 1 is not of type 'Function'.`);
+    }
+    this.timersStarted += 1;
+    if (this.timersStarted > this.budgets.maxTimers) {
+      throw new BudgetExceededError('maxTimers', this.budgets.maxTimers, this.currentLine);
+    }
+    const requestedDelay = Math.max(0, Number(delay) || 0);
+    const nesting = this.timerNesting + 1;
+    const timeout = this.clampDelay(requestedDelay, nesting);
+    const name = this.interpreter.getFunctionName(callback);
+    const timer = this.createTask(type, `${api} callback: ${name} (${timeout}ms)`, {
+      delay: timeout,
+      callback,
+      args
+    });
+    timer.requestedDelay = requestedDelay;
+    timer.nesting = nesting;
+    timer.repeat = type === TASK_TYPES.SET_INTERVAL;
+    this.activeTimers.set(timer.id, timer);
+    this.armTimer(timer);
+    return timer.id;
+  }
+
+  // A fetch waits in the Web APIs for its latency, then completes from a
+  // networking task, ordered with the timers by due time
+  startRequest({ url, method, latency, onResponse }) {
+    const request = this.createTask(TASK_TYPES.FETCH, `fetch ${method} ${url} (${latency}ms)`, {
+      delay: latency,
+      callback: onResponse
+    });
+    request.nesting = 0;
+    request.dueTime = roundTime(this.now() + latency);
+    const index = this.requests.findIndex(pending => pending.dueTime > request.dueTime);
+    this.requests.splice(index === -1 ? this.requests.length : index, 0, request);
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'webAPIs', task: this.toTraceTask(request), dueTime: request.dueTime });
+  }
+
+  armTimer(timer) {
+    const start = this.runtime === RUNTIMES.NODE ? this.loopTime : this.now();
+    timer.dueTime = roundTime(start + timer.delay);
+    this.timers.push(timer);
+    this.record(TRACE_EVENTS.ENQUEUE, { queue: 'webAPIs', task: this.toTraceTask(timer), dueTime: timer.dueTime });
+  }
+
+  clampDelay(delay, nesting) {
+    if (this.runtime === RUNTIMES.NODE) {
+      return delay >= 1 && delay <= NODE_TIMEOUT_MAX ? delay : 1;
+    }
+    return nesting > TIMER_NESTING_LIMIT ? Math.max(delay, MIN_NESTED_TIMEOUT) : delay;
+  }
+
+  // clearTimeout and clearInterval share one id space, like in browsers.
+  // A timer that already fired but has not run yet is dropped from the task
+  // queue; one that is running right now just isn't re-armed.
+  clearTimer(id) {
+    const timer = this.activeTimers.get(id);
+    if (!timer) {
+      return;
+    }
+    this.activeTimers.delete(id);
+    const pending = this.timers.items.includes(timer);
+    const queue = [this.taskQueue, this.phaseQueues[LOOP_PHASES.TIMERS]].find(tasks => tasks.includes(timer));
+    const queued = Boolean(queue);
+    if (pending) {
+      this.timers.remove(timer);
+    } else if (queued) {
+      queue.splice(queue.indexOf(timer), 1);
+    }
+    if (pending || queued) {
+      this.record(TRACE_EVENTS.CANCEL, { taskId: id });
+    }
+  }
+
+  record(type, details = {}) {
+    const event = {
+      seq: this.trace.length,
+      time: this.now(),
+      type,
+      ...details
+    };
+    if (this.currentTask && SCOPED_EVENTS.includes(type)) {
+      event.scopes = this.snapshotScopes(this.interpreter.currentScope);
+    }
+    // Replay pauses before an event whose lines hold a breakpoint
+    const { lines, debuggerLine } = this.interpreter.takeReachedLines();
+    if (lines.length > 0) {
+      event.lines = lines;
+    }
+    if (debuggerLine !== null) {
+      event.debuggerLine = debuggerLine;
+    }
+    this.trace.push(event);
+    if (this.onEvent) {
+      this.onEvent(event);
+    }
+    return event;
+  }
+
+  // Globals exposed to user code: the runtime's, narrowed to what the API
+  // policy allows
+  createGlobals(SimulatedPromise) {
+    const globals = {
+      console: this.createConsole(),
+      setTimeout: (...args) => this.setTimeout(...args),
+      setInterval: (...args) => this.setInterval(...args),
+      clearTimeout: (id) => this.clearTimer(id),
+      clearInterval: (id) => this.clearTimer(id),
+      queueMicrotask: (callback) => this.queueMicrotask(callback),
+      performance: { now: () => this.now() },
+      Date: this.createDateClass(),
+      ...createMockFetch(this, { Promise: SimulatedPromise, fixtures: this.fetchFixtures }),
+      ...(this.runtime === RUNTIMES.NODE ? this.createNodeGlobals() : this.createBrowserGlobals()),
+      Promise: SimulatedPromise,
+      undefined,
+      NaN,
+      Infinity,
+      Math,
+      JSON,
+      Object,
+      Array,
+      String,
+      Number,
+      Boolean,
+      Symbol,
+      Map,
+      Set,
+      WeakMap,
+      WeakSet,
+      RegExp,
+      Error,
+      TypeError,
+      RangeError,
+      ReferenceError,
+      SyntaxError,
+      parseInt,
+      parseFloat,
+      isNaN,
+      isFinite
+    };
+    const { allows, guardMembers } = this.apiPolicy;
+    return Object.fromEntries(
+      Object.entries(globals)
+        .filter(([name]) => allows(name))
+        .map(([name, value]) => [name, guardMembers(name, value)])
+    );
+  }
+
+  createBrowserGlobals() {
+    this.dom = createMiniDom(this);
+    return {
+      document: this.dom.document,
+      MutationObserver: this.dom.MutationObserver,
+      requestAnimationFrame: (callback) => this.requestAnimationFrame(callback),
+      cancelAnimationFrame: (id) => this.cancelAnimationFrame(id)
+    };
+  }
+
+  // Date reading the virtual clock, so `Date.now()` moves with busy loops
+  createDateClass() {
+    const simulator = this;
+    return class VirtualDate extends Date {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(VIRTUAL_EPOCH + simulator.now());
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return Math.floor(VIRTUAL_EPOCH + simulator.now());
+      }
+    };
+  }
+
+  createNodeGlobals() {
+    return {
+      process: {
+        nextTick: (...args) => this.nextTick(...args),
+        platform: 'linux',
+        env: {}
+      },
+      setImmediate: (...args) => this.setImmediate(...args),
+      clearImmediate: (id) => this.clearImmediate(id)
+    };
+  }
+
+  createConsole() {
+    return createConsoleApi({
+      write: (entry) => {
+        this.logs.push({ type: entry.level, message: entry.message, time: this.now() });
+        this.record(TRACE_EVENTS.CONSOLE, { ...entry, lineNumber: this.currentLine });
+      },
+      now: () => this.now(),
+      formatArgs: (args) => this.formatConsoleArgs(args),
+      inspect: (value) => this.formatValue(value),
+      snapshot: (value) => this.snapshotValue(value),
+      captureStack: () => this.captureStack()
+    });
+  }
+
+  // Frames console.trace prints, innermost first: each user function at the
+  // line it has got to, then the script itself while the main script runs
+  captureStack() {
+    const frames = this.interpreter.callStack;
+    const stack = frames.map((frame, index) => ({
+      name: frame.name,
+      lineNumber: index === frames.length - 1 ? this.currentLine : frames[index + 1].callLine
+    })).reverse();
+    if (this.currentTask && this.currentTask.type === TASK_TYPES.SYNCHRONOUS) {
+      stack.push({ name: '<anonymous>', lineNumber: frames.length > 0 ? frames[0].callLine : this.currentLine });
+    }
+    return stack;
+  }
+
+  formatConsoleArgs(args) {
+    return formatConsoleArgs(args, this.inspectHooks);
+  }
+
+  // Short form of an argument for a call frame label
+  formatArgument(value) {
+    if (Array.isArray(value)) {
+      return `Array(${value.length})`;
+    }
+    if (value instanceof this.interpreter.intrinsics.Promise) {
+      return 'Promise';
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Error || value instanceof Date || value instanceof MiniNode) {
+      return this.formatValue(value);
+    }
+    const name = value.constructor && value.constructor.name;
+    return name && name !== 'Object' ? name : '{…}';
+  }
+
+  formatValue(value) {
+    return inspectValue(value, this.inspectHooks);
+  }
+
+  snapshotValue(value) {
+    return snapshotValue(value, this.inspectHooks);
+  }
+
+  // What the console formatter can't tell from a value alone
+  get inspectHooks() {
+    return {
+      functionKind: (fn) => {
+        const meta = this.interpreter && this.interpreter.functionMeta.get(fn);
+        if (meta) {
+          return meta.isClass ? 'class' : meta.isAsync ? 'AsyncFunction' : 'Function';
+        }
+        if (/^class\b/.test(Function.prototype.toString.call(fn))) {
+          return 'class';
+        }
+        return fn.constructor && fn.constructor.name === 'AsyncFunction' ? 'AsyncFunction' : 'Function';
+      },
+      inspectPromise: (value) => (
+        this.inspectPromise && value instanceof this.interpreter.intrinsics.Promise ? this.inspectPromise(value) : null
+      ),
+      formatError: (error) => this.formatError(error)
+    };
+  }
+
+  formatError(error) {
+    if (error instanceof Error) {
+      return `${error.name}: ${error.message}`;
+    }
+    return this.formatValue(error);
+  }
+}
@@ -0,0 +1,109 @@
+// Execution Budgets
+// Limits on how much work one run may do, checked by the simulator and the
+// async capture alike. A runaway loop, a task storm or a timer storm stops
+// the run; recursion past the call depth throws the RangeError an engine
+// would, which user code may catch. A checkpoint that drains more microtasks
+// than the starvation threshold is reported first, so the replay pauses on
+// the starving chain, and then stops the run like the other budgets: left
+// alone it would only spin until the task budget ran out.
+
+export const DEFAULT_BUDGETS = {
+  maxLoopIterations: 100000, // per loop, each time it starts
+  maxCallDepth: 200, // user function frames on the call stack
+  maxTasks: 10000, // tasks and microtasks run
+  maxTimers: 1000, // setTimeout and setInterval calls
+  starvationThreshold: 100, // microtasks one checkpoint drains before starvation is reported
+};
+
+export const BUDGET_LIMITS = {
+  maxLoopIterations: { label: 'Loop iterations', min: 1, max: 10000000 },
+  // Each simulated frame costs dozens of real ones, and the host's own stack
+  // runs out a little past 400
+  maxCallDepth: { label: 'Call depth', min: 1, max: 400 },
+  maxTasks: { label: 'Tasks', min: 1, max: 1000000 },
+  maxTimers: { label: 'Timers', min: 1, max: 100000 },
+  starvationThreshold: { label: 'Microtasks per checkpoint', min: 1, max: 1000000 },
+};
+
+// Budgets from the UI may be missing, partial or out of range
+export const resolveBudgets = (budgets = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_BUDGETS).map(([name, fallback]) => {
+    const { min, max } = BUDGET_LIMITS[name];
+    const value = Math.floor(Number(budgets[name]));
+    return [name, Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback];
+  })
+);
+
+const BUDGET_MESSAGES = {
+  maxLoopIterations: (limit, line) => `Loop on line ${line} ran more than ${limit} iterations`,
+  maxCallDepth: (limit) => `Call depth passed ${limit} frames`,
+  maxTasks: (limit) => `More than ${limit} tasks ran`,
+  maxTimers: (limit) => `More than ${limit} timers were created`,
+  starvationThreshold: (limit, line) => `One microtask checkpoint ran more than ${limit} microtasks, queued from line ${line}`,
+};
+
+// BUDGET trace event fields. Only the call depth budget lets the run go on.
+export const describeBudget = (budget, limit, lineNumber) => ({
+  budget,
+  limit,
+  lineNumber,
+  message: `Budget exceeded: ${BUDGET_MESSAGES[budget](limit, lineNumber)}`,
+  stopped: budget !== 'maxCallDepth'
+});
+
+// Microtask sources listed when a checkpoint starves the loop
+const STARVATION_CHAIN_LENGTH = 5;
+
+// Counts what one microtask checkpoint drains, for the starvation threshold.
+// The simulator and the async capture each start one per checkpoint, so both
+// report starvation the same way. `admit(task)` counts a microtask in and
+// returns false once the checkpoint has drained the threshold; the run then
+// records `describeStarvation(queued, starved)` and stops. The chain is every
+// `queued` microtask that one drained in this checkpoint queued; `starved`
+// is the work waiting for the checkpoint to end.
+export const createCheckpointCounter = (threshold) => {
+  let drained = 0;
+  const ran = new Set();
+  const sources = new Map();
+  return {
+    admit(task) {
+      if (drained === threshold) {
+        return false;
+      }
+      drained += 1;
+      ran.add(task.id);
+      const key = `${task.lineNumber}:${task.description}`;
+      const source = sources.get(key) || { description: task.description, lineNumber: task.lineNumber, count: 0 };
+      source.count += 1;
+      sources.set(key, source);
+      return true;
+    },
+    // STARVATION trace event fields, with copies of the counts
+    describeStarvation(queued, starved) {
+      const chain = [...sources.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, STARVATION_CHAIN_LENGTH)
+        .map(source => ({ ...source }));
+      return {
+        drained,
+        threshold,
+        chain,
+        taskIds: queued.filter(task => ran.has(task.queuedBy)).map(task => task.id),
+        starved,
+        lineNumber: chain[0].lineNumber
+      };
+    }
+  };
+};
+
+// Thrown through user code when a budget stops the run. It is uncatchable:
+// try/catch, promise handlers and event listeners pass it on.
+export class BudgetExceededError extends Error {
+  constructor(budget, limit, lineNumber) {
+    const details = describeBudget(budget, limit, lineNumber);
+    super(details.message);
+    this.name = 'BudgetExceededError';
+    this.details = details;
+    this.uncatchable = true;
+  }
+}
@@ -0,0 +1,52 @@
+// Execution Worker
+// Simulates or captures user code off the page's main thread, so a runaway
+// loop only blocks this worker and user code never reaches the app. The page
+// hands over a MessagePort once; runs and their trace events travel over that
+// port only, out of reach of user code calling postMessage.
+
+import codeExecutor from './codeExecutor';
+
+// Trace events are posted in batches, at least this often while code runs
+const FLUSH_INTERVAL = 50;
+const MAX_BATCH = 200;
+
+const connect = (port) => {
+  let batch = [];
+  let lastFlush = -Infinity;
+
+  const flush = () => {
+    if (batch.length > 0) {
+      port.postMessage({ type: 'events', events: batch });
+      batch = [];
+    }
+    lastFlush = performance.now();
+  };
+
+  codeExecutor.setEventListener((event) => {
+    batch.push(event);
+    if (batch.length >= MAX_BATCH || performance.now() - lastFlush >= FLUSH_INTERVAL) {
+      flush();
+    }
+  });
+
+  port.onmessage = async ({ data: { code, options } }) => {
+    // The first event goes out at once, so a script that hangs straight
+    // away still shows up on the call stack
+    lastFlush = -Infinity;
+    try {
+      const { duration, result, resultType } = await codeExecutor.runInline(code, options);
+      flush();
+      port.postMessage({ type: 'done', duration, result, resultType });
+    } catch (error) {
+      flush();
+      // Parse errors carry where the parser stopped
+      port.postMessage({ type: 'failed', message: error.message, lineNumber: error.lineNumber, column: error.column });
+    }
+  };
+};
+
+self.addEventListener('message', ({ ports }) => {
+  if (ports[0]) {
+    connect(ports[0]);
+  }
+}, { once: true });
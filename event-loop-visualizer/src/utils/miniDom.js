@@ -0,0 +1,428 @@
+// Mini DOM
+// A small node tree with the parts of the DOM a MutationObserver can watch:
+// child lists, attributes and text. Mutations are recorded the way the DOM
+// spec describes and every observer is notified from a single microtask.
+
+import { TASK_TYPES } from '../store/eventLoopSlice';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const DOCUMENT_NODE = 9;
+
+const describeHandler = (handler) => (
+  typeof handler === 'function' && handler.name ? handler.name : 'anonymous'
+);
+
+export class MiniNode {
+  constructor(ownerDocument, nodeType, nodeName) {
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get previousSibling() {
+    return this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) - 1] || null : null;
+  }
+
+  get nextSibling() {
+    return this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) + 1] || null : null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(child => child.textContent).join('');
+  }
+
+  // Replaces every child with one text node, reported as a single mutation
+  set textContent(value) {
+    const removedNodes = this.childNodes;
+    const text = String(value ?? '');
+    const addedNodes = text ? [this.ownerDocument.createTextNode(text)] : [];
+    removedNodes.forEach(child => {
+      child.parentNode = null;
+    });
+    addedNodes.forEach(child => {
+      child.parentNode = this;
+    });
+    this.childNodes = addedNodes;
+    if (removedNodes.length > 0 || addedNodes.length > 0) {
+      this.queueMutation('childList', { addedNodes, removedNodes });
+    }
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, referenceNode) {
+    if (!(node instanceof MiniNode) || node.nodeType === DOCUMENT_NODE) {
+      throw new TypeError("Failed to execute 'insertBefore' on 'Node': parameter 1 is not of type 'Node'.");
+    }
+    if (this.nodeType === TEXT_NODE || node === this || node.contains(this)) {
+      throw new Error("Failed to execute 'insertBefore' on 'Node': The new child element contains the parent.");
+    }
+    if (referenceNode && referenceNode.parentNode !== this) {
+      throw new Error("Failed to execute 'insertBefore' on 'Node': The node before which the new node is to be inserted is not a child of this node.");
+    }
+    if (node.parentNode) {
+      node.parentNode.removeChild(node);
+    }
+    const index = referenceNode ? this.childNodes.indexOf(referenceNode) : this.childNodes.length;
+    const previousSibling = this.childNodes[index - 1] || null;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    this.queueMutation('childList', { addedNodes: [node], previousSibling, nextSibling: referenceNode || null });
+    return node;
+  }
+
+  removeChild(node) {
+    if (!node || node.parentNode !== this) {
+      throw new Error("Failed to execute 'removeChild' on 'Node': The node to be removed is not a child of this node.");
+    }
+    const { previousSibling, nextSibling } = node;
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    this.queueMutation('childList', { removedNodes: [node], previousSibling, nextSibling });
+    return node;
+  }
+
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.removeChild(this);
+    }
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  queueMutation(type, details) {
+    this.ownerDocument.queueMutationRecord(type, this, details);
+  }
+}
+
+export class MiniElement extends MiniNode {
+  constructor(ownerDocument, tagName) {
+    super(ownerDocument, ELEMENT_NODE, String(tagName).toUpperCase());
+    this.attributes = new Map();
+  }
+
+  get tagName() {
+    return this.nodeName;
+  }
+
+  get children() {
+    return this.childNodes.filter(child => child.nodeType === ELEMENT_NODE);
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  set id(value) {
+    this.setAttribute('id', value);
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  setAttribute(name, value) {
+    const oldValue = this.getAttribute(name);
+    this.attributes.set(name, String(value));
+    this.queueMutation('attributes', { attributeName: name, oldValue });
+  }
+
+  removeAttribute(name) {
+    if (!this.attributes.has(name)) {
+      return;
+    }
+    const oldValue = this.getAttribute(name);
+    this.attributes.delete(name);
+    this.queueMutation('attributes', { attributeName: name, oldValue });
+  }
+
+  append(...nodes) {
+    nodes.forEach(node => {
+      this.appendChild(node instanceof MiniNode ? node : this.ownerDocument.createTextNode(node));
+    });
+  }
+}
+
+export class MiniText extends MiniNode {
+  constructor(ownerDocument, data) {
+    super(ownerDocument, TEXT_NODE, '#text');
+    this.value = String(data);
+  }
+
+  get data() {
+    return this.value;
+  }
+
+  set data(value) {
+    const oldValue = this.value;
+    this.value = String(value ?? '');
+    this.queueMutation('characterData', { oldValue });
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
+
+  set nodeValue(value) {
+    this.data = value;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = value;
+  }
+}
+
+export class MiniDocument extends MiniNode {
+  // `queueMutationRecord` is supplied by the run that owns this document
+  constructor(queueMutationRecord) {
+    super(null, DOCUMENT_NODE, '#document');
+    this.ownerDocument = this;
+    this.queueMutationRecord = queueMutationRecord;
+    this.body = this.createElement('body');
+    this.childNodes.push(this.body);
+    this.body.parentNode = this;
+  }
+
+  createElement(tagName) {
+    return new MiniElement(this, tagName);
+  }
+
+  createTextNode(data) {
+    return new MiniText(this, data);
+  }
+
+  getElementById(id) {
+    const search = (node) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === ELEMENT_NODE && child.id === String(id)) return child;
+        const found = search(child);
+        if (found) return found;
+      }
+      return null;
+    };
+    return search(this);
+  }
+}
+
+// Short label for a node in console output, e.g. <div id="box">
+export function describeNode(node) {
+  if (node.nodeType === TEXT_NODE) {
+    return `#text "${node.data}"`;
+  }
+  if (node.nodeType === DOCUMENT_NODE) {
+    return '#document';
+  }
+  const attributes = [...node.attributes].map(([name, value]) => ` ${name}="${value}"`).join('');
+  return `<${node.tagName.toLowerCase()}${attributes}>`;
+}
+
+// Markup for a node and its subtree, like outerHTML
+export function serializeNode(node) {
+  if (node.nodeType === TEXT_NODE) {
+    return node.data;
+  }
+  const children = node.childNodes.map(serializeNode).join('');
+  if (node.nodeType === DOCUMENT_NODE) {
+    return children;
+  }
+  const tag = node.tagName.toLowerCase();
+  return `${describeNode(node)}${children}</${tag}>`;
+}
+
+// Build a document and a MutationObserver class bound to one run. The
+// scheduler queues microtasks, reports errors and, if it renders, is told
+// when the tree changed: the simulator, or the async capture when running
+// on the real engine.
+export function createMiniDom(scheduler) {
+  const internals = new WeakMap();
+  const registrations = new WeakMap();
+  const observers = [];
+  let notifyQueued = false;
+
+  // Collect the observers interested in this mutation from the target and
+  // its ancestors, then give each its own record
+  const queueMutationRecord = (type, target, {
+    attributeName = null,
+    oldValue = null,
+    addedNodes = [],
+    removedNodes = [],
+    previousSibling = null,
+    nextSibling = null
+  } = {}) => {
+    // Any change to the tree needs a paint
+    if (scheduler.requestRender) {
+      scheduler.requestRender();
+    }
+    const interested = new Map();
+    for (let node = target; node; node = node.parentNode) {
+      (registrations.get(node) || []).forEach(({ observer, options }) => {
+        if (node !== target && !options.subtree) return;
+        if (type === 'attributes' && !options.attributes) return;
+        if (type === 'attributes' && options.attributeFilter && !options.attributeFilter.includes(attributeName)) return;
+        if (type === 'characterData' && !options.characterData) return;
+        if (type === 'childList' && !options.childList) return;
+        if (!interested.has(observer)) {
+          interested.set(observer, null);
+        }
+        if ((type === 'attributes' && options.attributeOldValue) || (type === 'characterData' && options.characterDataOldValue)) {
+          interested.set(observer, oldValue);
+        }
+      });
+    }
+    interested.forEach((recordOldValue, observer) => {
+      internals.get(observer).records.push({
+        type,
+        target,
+        addedNodes: [...addedNodes],
+        removedNodes: [...removedNodes],
+        previousSibling,
+        nextSibling,
+        attributeName,
+        attributeNamespace: null,
+        oldValue: recordOldValue
+      });
+      queueNotifyJob(observer);
+    });
+  };
+
+  // One microtask notifies every observer with pending records, however
+  // many mutations happened before it runs
+  const queueNotifyJob = (observer) => {
+    if (notifyQueued) {
+      return;
+    }
+    notifyQueued = true;
+    scheduler.enqueueMicrotask(notifyObservers, {
+      type: TASK_TYPES.MUTATION_OBSERVER,
+      description: `MutationObserver callback: ${describeHandler(internals.get(observer).callback)}`,
+      lineNumber: scheduler.currentLine
+    });
+  };
+
+  // An observer that throws is reported without stopping the others
+  const notifyObservers = () => {
+    notifyQueued = false;
+    [...observers].forEach(observer => {
+      const records = observer.takeRecords();
+      if (records.length === 0) {
+        return;
+      }
+      try {
+        internals.get(observer).callback.call(observer, records, observer);
+      } catch (error) {
+        if (error && error.uncatchable) {
+          throw error;
+        }
+        scheduler.reportError(error);
+      }
+    });
+  };
+
+  class MutationObserver {
+    constructor(callback) {
+      if (typeof callback !== 'function') {
+        throw new TypeError("Failed to construct 'MutationObserver': parameter 1 is not of type 'MutationCallback'.");
+      }
+      internals.set(this, { callback, records: [], targets: new Set() });
+      observers.push(this);
+    }
+
+    observe(target, options = {}) {
+      if (!(target instanceof MiniNode)) {
+        throw new TypeError("Failed to execute 'observe' on 'MutationObserver': parameter 1 is not of type 'Node'.");
+      }
+      let { attributes, characterData } = options;
+      const { childList, subtree, attributeOldValue, attributeFilter, characterDataOldValue } = options;
+      if (attributes === undefined && (attributeOldValue !== undefined || attributeFilter !== undefined)) {
+        attributes = true;
+      }
+      if (characterData === undefined && characterDataOldValue !== undefined) {
+        characterData = true;
+      }
+      if (!childList && !attributes && !characterData) {
+        throw new TypeError("Failed to execute 'observe' on 'MutationObserver': The options object must set at least one of 'attributes', 'characterData', or 'childList' to true.");
+      }
+      if (!attributes && (attributeOldValue || attributeFilter !== undefined)) {
+        throw new TypeError("Failed to execute 'observe' on 'MutationObserver': The options object may only set 'attributeOldValue' or 'attributeFilter' when 'attributes' is true or not present.");
+      }
+      if (!characterData && characterDataOldValue) {
+        throw new TypeError("Failed to execute 'observe' on 'MutationObserver': The options object may only set 'characterDataOldValue' to true when 'characterData' is true or not present.");
+      }
+
+      const normalized = {
+        childList: Boolean(childList),
+        subtree: Boolean(subtree),
+        attributes: Boolean(attributes),
+        characterData: Boolean(characterData),
+        attributeOldValue: Boolean(attributeOldValue),
+        characterDataOldValue: Boolean(characterDataOldValue),
+        attributeFilter: attributeFilter === undefined ? null : [...attributeFilter].map(String)
+      };
+      // Observing the same node again replaces the options
+      const list = registrations.get(target) || [];
+      const existing = list.find(registration => registration.observer === this);
+      if (existing) {
+        existing.options = normalized;
+      } else {
+        list.push({ observer: this, options: normalized });
+      }
+      registrations.set(target, list);
+      internals.get(this).targets.add(target);
+    }
+
+    disconnect() {
+      const record = internals.get(this);
+      record.targets.forEach(target => {
+        registrations.set(target, registrations.get(target).filter(registration => registration.observer !== this));
+      });
+      record.targets.clear();
+      record.records = [];
+    }
+
+    takeRecords() {
+      const record = internals.get(this);
+      const records = record.records;
+      record.records = [];
+      return records;
+    }
+  }
+
+  return {
+    document: new MiniDocument(queueMutationRecord),
+    MutationObserver
+  };
+}
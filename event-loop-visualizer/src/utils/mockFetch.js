@@ -0,0 +1,101 @@
+// Mock fetch
+// A fetch that answers from a fixtures table instead of the network. A
+// request waits in the Web APIs for its fixture's latency, then a networking
+// task settles the fetch promise. Reading the body with json() or text()
+// takes one more microtask, the way a fully buffered body stream would.
+
+import { TASK_TYPES } from '../store/eventLoopSlice';
+
+// Latency of a request no fixture matches, before it fails like a network error
+const UNMATCHED_LATENCY = 50;
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  301: 'Moved Permanently',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+// Fixtures match on the full URL, or on its path for absolute URLs
+const stripOrigin = (url) => url.replace(/^[a-z][a-z\d+.-]*:\/\/[^/]+/i, '') || '/';
+
+// Build `fetch` and `Response` for one run. The scheduler provides
+// `startRequest({ url, method, latency, onResponse })`, called once per request,
+// plus `enqueueMicrotask(callback, { type, description, lineNumber })` and
+// `currentLine`, the same interface the mini DOM uses. `Promise` is the
+// constructor user code sees, so reactions land in the traced microtask queue.
+export function createMockFetch(scheduler, { Promise, fixtures = [] }) {
+  const findFixture = (url) => {
+    const path = stripOrigin(url);
+    return fixtures.find(fixture => fixture.url === url || fixture.url === path) || null;
+  };
+
+  class Response {
+    constructor(body, { status = 200, url = '' } = {}) {
+      this.status = status;
+      this.statusText = STATUS_TEXT[status] || '';
+      this.ok = status >= 200 && status < 300;
+      this.url = url;
+      this.bodyUsed = false;
+      this.body = String(body ?? '');
+    }
+
+    text() {
+      return this.consumeBody('text', body => body);
+    }
+
+    json() {
+      return this.consumeBody('json', body => JSON.parse(body));
+    }
+
+    // A body can be read once; the value arrives one microtask later
+    consumeBody(method, parse) {
+      if (this.bodyUsed) {
+        return Promise.reject(new TypeError(`Failed to execute '${method}' on 'Response': body stream already read`));
+      }
+      this.bodyUsed = true;
+      return new Promise((resolve, reject) => {
+        scheduler.enqueueMicrotask(() => {
+          try {
+            resolve(parse(this.body));
+          } catch (error) {
+            reject(error);
+          }
+        }, {
+          type: TASK_TYPES.FETCH,
+          description: `response.${method}(): ${this.url}`,
+          lineNumber: scheduler.currentLine
+        });
+      });
+    }
+  }
+
+  const fetch = (input, init = {}) => {
+    const url = String(input);
+    const method = String((init && init.method) || 'GET').toUpperCase();
+    const fixture = findFixture(url);
+    return new Promise((resolve, reject) => {
+      scheduler.startRequest({
+        url,
+        method,
+        latency: fixture ? Math.max(0, Number(fixture.latency) || 0) : UNMATCHED_LATENCY,
+        onResponse: () => {
+          if (fixture) {
+            resolve(new Response(fixture.body, { status: Number(fixture.status) || 200, url }));
+          } else {
+            reject(new TypeError('Failed to fetch'));
+          }
+        }
+      });
+    });
+  };
+
+  return { fetch, Response };
+}
@@ -0,0 +1,228 @@
+// Simulated Promise
+// A Promise whose reaction jobs are queued on the simulator's microtask
+// queue instead of the host engine's, so they run on the virtual event loop
+
+const PENDING = 'pending';
+const FULFILLED = 'fulfilled';
+const REJECTED = 'rejected';
+
+const isObject = (value) => (
+  value !== null && (typeof value === 'object' || typeof value === 'function')
+);
+
+const describeHandler = (handler) => (
+  typeof handler === 'function' && handler.name ? handler.name : 'anonymous'
+);
+
+// Build a Promise class bound to one simulator run
+export function createSimulatedPromise(simulator) {
+  const internals = new WeakMap();
+
+  const settle = (promise, state, result) => {
+    const record = internals.get(promise);
+    if (record.state !== PENDING) {
+      return;
+    }
+    record.state = state;
+    record.result = result;
+    const reactions = record.reactions;
+    record.reactions = [];
+    reactions.forEach(reaction => queueReactionJob(reaction, state, result));
+  };
+
+  const resolvePromise = (promise, resolution) => {
+    if (resolution === promise) {
+      settle(promise, REJECTED, new TypeError('Chaining cycle detected for promise #<Promise>'));
+      return;
+    }
+    if (!isObject(resolution)) {
+      settle(promise, FULFILLED, resolution);
+      return;
+    }
+    let then;
+    try {
+      then = resolution.then;
+    } catch (error) {
+      settle(promise, REJECTED, error);
+      return;
+    }
+    if (typeof then !== 'function') {
+      settle(promise, FULFILLED, resolution);
+      return;
+    }
+    queueResolveThenableJob(promise, resolution, then);
+  };
+
+  // Adopting a thenable costs a job to call its `then`, and that `then`
+  // queues another job to settle the promise: the two extra ticks seen when
+  // a handler returns a promise
+  const queueResolveThenableJob = (promise, thenable, then) => {
+    simulator.enqueueMicrotask(() => {
+      const { resolve, reject } = createResolvingFunctions(promise);
+      try {
+        then.call(thenable, resolve, reject);
+      } catch (error) {
+        if (error && error.uncatchable) {
+          throw error;
+        }
+        reject(error);
+      }
+    }, {
+      description: 'Promise resolve thenable job',
+      lineNumber: simulator.currentLine
+    });
+  };
+
+  // resolve/reject pair that only takes effect once
+  const createResolvingFunctions = (promise) => {
+    let alreadyResolved = false;
+    return {
+      resolve: (resolution) => {
+        if (alreadyResolved) return;
+        alreadyResolved = true;
+        resolvePromise(promise, resolution);
+      },
+      reject: (reason) => {
+        if (alreadyResolved) return;
+        alreadyResolved = true;
+        settle(promise, REJECTED, reason);
+      }
+    };
+  };
+
+  const queueReactionJob = (reaction, state, result) => {
+    const handler = state === FULFILLED ? reaction.onFulfilled : reaction.onRejected;
+    simulator.enqueueMicrotask(() => {
+      if (typeof handler !== 'function') {
+        if (state === FULFILLED) {
+          reaction.resolve(result);
+        } else {
+          reaction.reject(result);
+        }
+        return;
+      }
+      let handlerResult;
+      try {
+        handlerResult = handler(result);
+      } catch (error) {
+        // Errors raised by the simulator itself are not promise rejections
+        if (error && error.uncatchable) {
+          throw error;
+        }
+        reaction.reject(error);
+        return;
+      }
+      reaction.resolve(handlerResult);
+    }, {
+      handler: typeof handler === 'function' ? handler : null,
+      type: reaction.type,
+      description: reaction.description || (typeof handler === 'function'
+        ? `Promise.${reaction.method} callback: ${reaction.name || describeHandler(handler)}`
+        : `Promise.${reaction.method} pass-through (${state})`),
+      lineNumber: reaction.lineNumber
+    });
+  };
+
+  class SimulatedPromise {
+    constructor(executor) {
+      if (typeof executor !== 'function') {
+        throw new TypeError(`Promise resolver ${executor} is not a function`);
+      }
+      internals.set(this, { state: PENDING, result: undefined, reactions: [] });
+      const { resolve, reject } = createResolvingFunctions(this);
+      try {
+        executor(resolve, reject);
+      } catch (error) {
+        if (error && error.uncatchable) {
+          throw error;
+        }
+        reject(error);
+      }
+    }
+
+    then(onFulfilled, onRejected) {
+      return performThen(this, onFulfilled, onRejected, { method: 'then' });
+    }
+
+    catch(onRejected) {
+      return performThen(this, undefined, onRejected, { method: 'catch' });
+    }
+
+    // onFinally's result is awaited before the original outcome passes on
+    finally(onFinally) {
+      if (typeof onFinally !== 'function') {
+        return performThen(this, onFinally, onFinally, { method: 'finally' });
+      }
+      const thenFinally = (value) => SimulatedPromise.resolve(onFinally()).then(() => value);
+      const catchFinally = (reason) => SimulatedPromise.resolve(onFinally()).then(() => {
+        throw reason;
+      });
+      return performThen(this, thenFinally, catchFinally, { method: 'finally', name: describeHandler(onFinally) });
+    }
+
+    static resolve(value) {
+      if (value instanceof SimulatedPromise) {
+        return value;
+      }
+      return new SimulatedPromise(resolve => resolve(value));
+    }
+
+    static reject(reason) {
+      return new SimulatedPromise((_, reject) => reject(reason));
+    }
+  }
+
+  // Register a reaction and return the derived promise; the remaining
+  // options only label the queued job
+  const performThen = (promise, onFulfilled, onRejected, {
+    method,
+    name = null,
+    type,
+    description = null,
+    lineNumber = simulator.currentLine
+  }) => {
+    const record = internals.get(promise);
+    if (!record) {
+      throw new TypeError(`Method Promise.prototype.${method} called on incompatible receiver`);
+    }
+    let derived;
+    const derivedPromise = new SimulatedPromise((resolve, reject) => {
+      derived = { resolve, reject };
+    });
+    const reaction = {
+      onFulfilled,
+      onRejected,
+      resolve: derived.resolve,
+      reject: derived.reject,
+      method,
+      name,
+      type,
+      description,
+      lineNumber
+    };
+    if (record.state === PENDING) {
+      record.reactions.push(reaction);
+    } else {
+      queueReactionJob(reaction, record.state, record.result);
+    }
+    return derivedPromise;
+  };
+
+  Object.defineProperty(SimulatedPromise, 'name', { value: 'Promise' });
+  Object.defineProperty(SimulatedPromise.prototype, Symbol.toStringTag, { value: 'Promise' });
+
+  // State and result for the console formatter and `await`, kept off the
+  // class so user code only sees the standard Promise surface
+  const inspectPromise = (promise) => {
+    const { state, result } = internals.get(promise);
+    return { state, result };
+  };
+
+  // `await value`: subscribe an async function's continuation to the value
+  // as a promise; thenables are adopted first, which costs the extra ticks
+  const awaitPromise = (value, onFulfilled, onRejected, label) => {
+    performThen(SimulatedPromise.resolve(value), onFulfilled, onRejected, { method: 'await', ...label });
+  };
+
+  return { SimulatedPromise, inspectPromise, awaitPromise };
+}
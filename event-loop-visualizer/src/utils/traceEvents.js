@@ -0,0 +1,26 @@
+// Trace event types emitted by the event loop simulator and the async
+// capture, and replayed into the Redux queues by the eventLoop slice
+export const TRACE_EVENTS = {
+  ENQUEUE: 'enqueue', // task handed to the Web APIs or a queue
+  TIMER_FIRED: 'timerFired', // due timer moved to the callback queue (Node: timers queue)
+  CANCEL: 'cancel', // timer cleared before its callback ran
+  TASK_START: 'taskStart',
+  TASK_END: 'taskEnd',
+  CALL: 'call', // user function frame pushed onto the call stack
+  RETURN: 'return', // that frame popped, by returning or throwing
+  SUSPEND: 'suspend', // async function parked at an await
+  RESUME: 'resume', // async function continuation re-entered the stack
+  PHASE: 'phase', // Node loop entered a libuv phase
+  RENDER: 'render', // browser rendering step: animationFrames, style, layout or paint
+  CHECKPOINT: 'checkpoint', // microtask checkpoint began
+  STARVATION: 'starvation', // a checkpoint drained more microtasks than the starvation threshold
+  CONSOLE: 'console',
+  CLOCK: 'clock', // virtual time advanced
+  ERROR: 'error', // uncaught exception, or `stopped` when the run was cut short
+  BUDGET: 'budget', // an execution budget ran out; `stopped` unless it was the call depth
+  DONE: 'done',
+};
+
+// Event times carry fractions of a millisecond (CPU time, in the simulator),
+// so show at most two decimals
+export const formatEventTime = (time) => `${Number(time.toFixed(2))}ms`;